@@ -1,67 +1,334 @@
 'use strict';
 
+const fs = require('fs');
 const { diag, DiagConsoleLogger, DiagLogLevel } = require('@opentelemetry/api');
-const { NodeSDK } = require('@opentelemetry/sdk-node');
+const { ExportResultCode, hrTimeToMicroseconds } = require('@opentelemetry/core');
+const { NodeSDK, tracing } = require('@opentelemetry/sdk-node');
 const { OTLPTraceExporter } = require('@opentelemetry/exporter-trace-otlp-grpc');
 const { OTLPMetricExporter } = require('@opentelemetry/exporter-metrics-otlp-grpc');
 const { OTLPLogExporter } = require('@opentelemetry/exporter-logs-otlp-grpc');
-const { BatchLogRecordProcessor } = require('@opentelemetry/sdk-logs');
-const { PeriodicExportingMetricReader } = require('@opentelemetry/sdk-metrics');
+const {
+  OTLPTraceExporter: OTLPProtoTraceExporter,
+} = require('@opentelemetry/exporter-trace-otlp-proto');
+const {
+  OTLPMetricExporter: OTLPProtoMetricExporter,
+} = require('@opentelemetry/exporter-metrics-otlp-proto');
+const {
+  OTLPLogExporter: OTLPProtoLogExporter,
+} = require('@opentelemetry/exporter-logs-otlp-proto');
+const { BatchLogRecordProcessor, ConsoleLogRecordExporter } = require('@opentelemetry/sdk-logs');
+const {
+  ConsoleMetricExporter,
+  PeriodicExportingMetricReader,
+} = require('@opentelemetry/sdk-metrics');
 const { Resource } = require('@opentelemetry/resources');
 const { SemanticResourceAttributes } = require('@opentelemetry/semantic-conventions');
 const { getNodeAutoInstrumentations } = require('@opentelemetry/auto-instrumentations-node');
 
-diag.setLogger(new DiagConsoleLogger(), DiagLogLevel.ERROR);
+const otlpGrpc = { OTLPTraceExporter, OTLPMetricExporter, OTLPLogExporter };
+const otlpProto = {
+  OTLPTraceExporter: OTLPProtoTraceExporter,
+  OTLPMetricExporter: OTLPProtoMetricExporter,
+  OTLPLogExporter: OTLPProtoLogExporter,
+};
 
-const otlpEndpoint = process.env.OTEL_EXPORTER_OTLP_ENDPOINT || 'http://otel-collector:4317';
+// Configuration comes from the standard OTEL_* variables where one exists, plus
+// DEMO_OTEL_EXPORTER / DEMO_OTEL_EXPORT_FILE for offline debugging. Invalid
+// values stop the process before anything is instrumented.
+const problems = [];
 
-const traceExporter = new OTLPTraceExporter({ url: otlpEndpoint });
+function readEnum(name, allowed, fallback) {
+  const value = (process.env[name] || fallback).trim().toLowerCase();
+  if (!allowed.includes(value)) {
+    problems.push(`${name} must be one of ${allowed.join(', ')} (got "${value}")`);
+  }
+  return value;
+}
+
+function readNumber(name, fallback, { min = 0, max = Infinity } = {}) {
+  const raw = process.env[name];
+  const value = raw === undefined || raw.trim() === '' ? fallback : Number(raw);
+  if (!Number.isFinite(value) || value < min || value > max) {
+    problems.push(`${name} must be a number between ${min} and ${max} (got "${raw}")`);
+  }
+  return value;
+}
+
+function readHeaderNames(name) {
+  return (process.env[name] || '')
+    .split(',')
+    .map((pair) => pair.trim())
+    .filter(Boolean)
+    .map((pair) => {
+      const [key, ...value] = pair.split('=');
+      if (!key.trim() || value.length === 0) {
+        problems.push(`${name} entries must look like key=value (got "${key.trim()}")`);
+      }
+      return key.trim();
+    });
+}
+
+function readInstrumentationList(name) {
+  const autoInstrumentationsDir = require.resolve('@opentelemetry/auto-instrumentations-node');
+  return (process.env[name] || '')
+    .split(',')
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const pkg = `@opentelemetry/instrumentation-${entry}`;
+      try {
+        require.resolve(pkg, { paths: [autoInstrumentationsDir] });
+      } catch (error) {
+        problems.push(`${name} lists unknown instrumentation "${entry}"`);
+      }
+      return pkg;
+    });
+}
+
+const diagLevel = readEnum(
+  'OTEL_LOG_LEVEL',
+  ['none', 'error', 'warn', 'info', 'debug', 'verbose', 'all'],
+  'error'
+);
+const exporterKind = readEnum('DEMO_OTEL_EXPORTER', ['otlp', 'console', 'file'], 'otlp');
+const protocol = readEnum('OTEL_EXPORTER_OTLP_PROTOCOL', ['grpc', 'http/protobuf'], 'grpc');
+const compression = readEnum('OTEL_EXPORTER_OTLP_COMPRESSION', ['none', 'gzip'], 'none');
+const exportTimeoutMs = readNumber('OTEL_EXPORTER_OTLP_TIMEOUT', 10000, { min: 1 });
+const headerNames = readHeaderNames('OTEL_EXPORTER_OTLP_HEADERS');
+const sampleRatio = readNumber('OTEL_TRACES_SAMPLER_ARG', 1, { max: 1 });
+const metricIntervalMs = readNumber('OTEL_METRIC_EXPORT_INTERVAL', 60000, { min: 1 });
+const metricTimeoutMs = readNumber(
+  'OTEL_METRIC_EXPORT_TIMEOUT',
+  Math.min(30000, metricIntervalMs),
+  {
+    min: 1,
+    max: metricIntervalMs,
+  }
+);
+const disabledInstrumentations = readInstrumentationList('OTEL_NODE_DISABLED_INSTRUMENTATIONS');
+const exportFile = process.env.DEMO_OTEL_EXPORT_FILE || '/tmp/demo-app-telemetry.jsonl';
+const otlpEndpoint = (
+  process.env.OTEL_EXPORTER_OTLP_ENDPOINT ||
+  (protocol === 'grpc' ? 'http://otel-collector:4317' : 'http://otel-collector:4318')
+).replace(/\/+$/, '');
+
+if (problems.length > 0) {
+  console.error(`Invalid OpenTelemetry configuration:\n  - ${problems.join('\n  - ')}`);
+  process.exit(1);
+}
+
+diag.setLogger(new DiagConsoleLogger(), DiagLogLevel[diagLevel.toUpperCase()]);
+
+// Appends one JSON document per exported span, metric batch or log record, for
+// inspecting telemetry without a collector (DEMO_OTEL_EXPORTER=file). Each
+// exporter owns its stream, so shutting one down leaves the others writing.
+class JsonLinesFileExporter {
+  constructor(signal, serialise) {
+    this.signal = signal;
+    this.serialise = serialise;
+    this.stream = undefined;
+    this.isShutdown = false;
+  }
+
+  export(items, resultCallback) {
+    if (this.isShutdown) {
+      resultCallback({
+        code: ExportResultCode.FAILED,
+        error: new Error('Exporter has been shut down'),
+      });
+      return;
+    }
+    this.stream ??= fs.createWriteStream(exportFile, { flags: 'a' });
+    for (const item of [].concat(items)) {
+      this.stream.write(`${JSON.stringify({ signal: this.signal, ...this.serialise(item) })}\n`);
+    }
+    resultCallback({ code: ExportResultCode.SUCCESS });
+  }
+
+  async forceFlush() {}
+
+  async shutdown() {
+    this.isShutdown = true;
+    const { stream } = this;
+    this.stream = undefined;
+    await new Promise((resolve) => (stream ? stream.end(resolve) : resolve()));
+  }
+}
+
+function otlpExporterOptions(signalPath) {
+  return {
+    url: protocol === 'grpc' ? otlpEndpoint : `${otlpEndpoint}/v1/${signalPath}`,
+    compression,
+    timeoutMillis: exportTimeoutMs,
+  };
+}
+
+function createExporters() {
+  if (exporterKind === 'console') {
+    return {
+      traceExporter: new tracing.ConsoleSpanExporter(),
+      metricExporter: new ConsoleMetricExporter(),
+      logExporter: new ConsoleLogRecordExporter(),
+    };
+  }
+  if (exporterKind === 'file') {
+    return {
+      traceExporter: new JsonLinesFileExporter('span', (span) => ({
+        traceId: span.spanContext().traceId,
+        spanId: span.spanContext().spanId,
+        parentSpanId: span.parentSpanId,
+        name: span.name,
+        kind: span.kind,
+        startTime: hrTimeToMicroseconds(span.startTime),
+        durationMicros: hrTimeToMicroseconds(span.duration),
+        status: span.status,
+        attributes: span.attributes,
+      })),
+      metricExporter: new JsonLinesFileExporter('metrics', (resourceMetrics) => ({
+        metrics: resourceMetrics.scopeMetrics.flatMap((scope) =>
+          scope.metrics.map((metric) => ({
+            name: metric.descriptor.name,
+            dataPoints: metric.dataPoints.map(({ attributes, value }) => ({ attributes, value })),
+          }))
+        ),
+      })),
+      logExporter: new JsonLinesFileExporter('log', (record) => ({
+        time: hrTimeToMicroseconds(record.hrTime),
+        severityText: record.severityText,
+        body: record.body,
+        traceId: record.spanContext?.traceId,
+        attributes: record.attributes,
+      })),
+    };
+  }
+  const otlp = protocol === 'grpc' ? otlpGrpc : otlpProto;
+  return {
+    traceExporter: new otlp.OTLPTraceExporter(otlpExporterOptions('traces')),
+    metricExporter: new otlp.OTLPMetricExporter(otlpExporterOptions('metrics')),
+    logExporter: new otlp.OTLPLogExporter(otlpExporterOptions('logs')),
+  };
+}
+
+const { traceExporter, metricExporter, logExporter } = createExporters();
 const metricReader = new PeriodicExportingMetricReader({
-  exporter: new OTLPMetricExporter({ url: otlpEndpoint }),
+  exporter: metricExporter,
+  exportIntervalMillis: metricIntervalMs,
+  exportTimeoutMillis: metricTimeoutMs,
 });
-const logExporter = new OTLPLogExporter({ url: otlpEndpoint });
 
 const resource = new Resource({
   [SemanticResourceAttributes.SERVICE_NAME]: process.env.OTEL_SERVICE_NAME || 'demo-node-app',
   [SemanticResourceAttributes.SERVICE_NAMESPACE]: 'demo',
   [SemanticResourceAttributes.SERVICE_INSTANCE_ID]:
     process.env.HOSTNAME || `demo-node-app-${Date.now()}`,
-  [SemanticResourceAttributes.DEPLOYMENT_ENVIRONMENT]:
-    process.env.DEMO_ENVIRONMENT || 'local',
+  [SemanticResourceAttributes.DEPLOYMENT_ENVIRONMENT]: process.env.DEMO_ENVIRONMENT || 'local',
 });
 
+// Profiles are pushed straight to Pyroscope (not through the collector) and
+// tagged from the same resource so they line up with traces and metrics.
+const pyroscopeServerAddress = process.env.PYROSCOPE_SERVER_ADDRESS;
+const profilingEnabled = Boolean(pyroscopeServerAddress);
+// Loaded only when profiling is on: the package pulls in a native binding that
+// should not be able to stop the app from starting when profiles are not wanted.
+let Pyroscope;
+
+if (profilingEnabled) {
+  Pyroscope = require('@pyroscope/nodejs');
+  const attributes = resource.attributes;
+  Pyroscope.init({
+    serverAddress: pyroscopeServerAddress,
+    appName: attributes[SemanticResourceAttributes.SERVICE_NAME],
+    tags: {
+      service_namespace: attributes[SemanticResourceAttributes.SERVICE_NAMESPACE],
+      service_instance_id: attributes[SemanticResourceAttributes.SERVICE_INSTANCE_ID],
+      deployment_environment: attributes[SemanticResourceAttributes.DEPLOYMENT_ENVIRONMENT],
+    },
+    wall: { collectCpuTime: true },
+  });
+  Pyroscope.start();
+}
+
+// Labels the CPU samples taken while `fn` runs synchronously with the span's ID
+// and marks the span with `pyroscope.profile.id`, which is what Grafana's
+// Tempo traces-to-profiles link looks for.
+function withProfileLabels(span, fn) {
+  if (!Pyroscope || !span?.isRecording()) {
+    return fn();
+  }
+  const spanId = span.spanContext().spanId;
+  span.setAttribute('pyroscope.profile.id', spanId);
+  let result;
+  Pyroscope.wrapWithLabels({ span_id: spanId, span_name: span.name }, () => {
+    result = fn();
+  });
+  return result;
+}
+
+const instrumentationConfig = {
+  '@opentelemetry/instrumentation-http': {
+    requireParentforOutgoingSpans: false,
+  },
+  '@opentelemetry/instrumentation-express': {
+    enabled: true,
+  },
+  '@opentelemetry/instrumentation-redis': {
+    enabled: true,
+  },
+  '@opentelemetry/instrumentation-mongodb': {
+    enabled: true,
+  },
+  '@opentelemetry/instrumentation-pino': {
+    enabled: true,
+    logHook: (span, record) => {
+      if (span) {
+        record['span.id'] = span.spanContext().spanId;
+        record['trace.id'] = span.spanContext().traceId;
+      }
+    },
+  },
+};
+for (const name of disabledInstrumentations) {
+  instrumentationConfig[name] = { ...instrumentationConfig[name], enabled: false };
+}
+
 const sdk = new NodeSDK({
   resource,
+  sampler: new tracing.ParentBasedSampler({
+    root: new tracing.TraceIdRatioBasedSampler(sampleRatio),
+  }),
   traceExporter,
   metricReader,
   logRecordProcessor: new BatchLogRecordProcessor(logExporter),
-  instrumentations: [
-    getNodeAutoInstrumentations({
-      '@opentelemetry/instrumentation-http': {
-        requireParentforOutgoingSpans: false,
-      },
-      '@opentelemetry/instrumentation-express': {
-        enabled: true,
-      },
-      '@opentelemetry/instrumentation-redis': {
-        enabled: true,
-      },
-      '@opentelemetry/instrumentation-mongodb': {
-        enabled: true,
-      },
-      '@opentelemetry/instrumentation-pino': {
-        enabled: true,
-        logHook: (span, record) => {
-          if (span) {
-            record['span.id'] = span.spanContext().spanId;
-            record['trace.id'] = span.spanContext().traceId;
-          }
-        },
-      },
-    }),
-  ],
+  instrumentations: [getNodeAutoInstrumentations(instrumentationConfig)],
 });
 
+// One line in the same shape as the service's pino logs; header values are
+// left out because they usually carry credentials.
+console.log(
+  JSON.stringify({
+    level: 30,
+    time: Date.now(),
+    service: resource.attributes[SemanticResourceAttributes.SERVICE_NAME],
+    msg: 'OpenTelemetry configured',
+    exporter: exporterKind,
+    ...(exporterKind === 'otlp'
+      ? {
+          protocol,
+          endpoint: otlpEndpoint,
+          compression,
+          timeoutMs: exportTimeoutMs,
+          headers: headerNames,
+        }
+      : {}),
+    ...(exporterKind === 'file' ? { file: exportFile } : {}),
+    sampler: `parentbased_traceidratio(${sampleRatio})`,
+    metricIntervalMs,
+    disabledInstrumentations,
+    profiling: profilingEnabled ? pyroscopeServerAddress : false,
+    diagLogLevel: diagLevel,
+  })
+);
+
 try {
   Promise.resolve(sdk.start())
     .then(() => {
@@ -74,14 +341,10 @@ try {
   console.error('Error starting OpenTelemetry SDK', error);
 }
 
-process.on('SIGTERM', () => {
-  sdk
-    .shutdown()
-    .then(() => {
-      process.exit(0);
-    })
-    .catch((error) => {
-      console.error('Error shutting down OpenTelemetry SDK', error);
-      process.exit(1);
-    });
-});
+// Signal handling lives in src/server.js, which calls this as the last step of
+// its ordered shutdown so spans, metrics and logs from the drain are exported.
+async function shutdownTelemetry() {
+  await Promise.all([sdk.shutdown(), Pyroscope?.stop()]);
+}
+
+module.exports = { sdk, shutdownTelemetry, withProfileLabels };
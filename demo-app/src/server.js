@@ -6,13 +6,21 @@ const pinoHttp = require("pino-http");
 const { MongoClient } = require("mongodb");
 const { Queue, Worker } = require("bullmq");
 const IORedis = require("ioredis");
+const cronParser = require("cron-parser");
+const http = require("http");
 const os = require("os");
+const { AsyncLocalStorage } = require("async_hooks");
+const path = require("path");
 const process = require("process");
 const {
   metrics,
   trace,
   context,
+  propagation,
+  isSpanContextValid,
+  SpanKind,
   SpanStatusCode,
+  TraceFlags,
 } = require("@opentelemetry/api");
 const client = require("prom-client");
 
@@ -23,18 +31,68 @@ const mongoUrl = process.env.MONGO_URL || "mongodb://mongo:27017";
 const mongoDbName = process.env.MONGO_DB_NAME || "monitoring_demo";
 const redisUrl = process.env.REDIS_URL || "redis://redis:6379";
 const queueName = process.env.BULLMQ_QUEUE_NAME || "demo-jobs";
+const deadLetterQueueName =
+  process.env.BULLMQ_DEAD_LETTER_QUEUE_NAME || `${queueName}-dead-letter`;
 const jobIntervalMs = Number(process.env.DEMO_JOB_INTERVAL_MS || 4000);
 const logLevel = process.env.LOG_LEVEL || "info";
+const maxRouteLabels = Number(process.env.DEMO_METRICS_MAX_ROUTES || 50);
+const queueMetricsIntervalMs = Number(
+  process.env.DEMO_QUEUE_METRICS_INTERVAL_MS || 5000
+);
+const shutdownTimeoutMs = Number(process.env.DEMO_SHUTDOWN_TIMEOUT_MS || 25000);
+const healthCheckTimeoutMs = Number(
+  process.env.DEMO_HEALTH_CHECK_TIMEOUT_MS || 2000
+);
+const healthCheckIntervalMs = Number(
+  process.env.DEMO_HEALTH_CHECK_INTERVAL_MS || 15000
+);
+const externalUrl =
+  process.env.DEMO_EXTERNAL_URL ||
+  "https://worldtimeapi.org/api/timezone/Etc/UTC";
+const externalTimeoutMs = Number(process.env.DEMO_EXTERNAL_TIMEOUT_MS || 2000);
+const externalRetries = Number(process.env.DEMO_EXTERNAL_RETRIES || 2);
+const externalRetryBaseMs = Number(
+  process.env.DEMO_EXTERNAL_RETRY_BASE_MS || 100
+);
+const externalBreakerThreshold = Number(
+  process.env.DEMO_EXTERNAL_BREAKER_THRESHOLD || 5
+);
+const externalBreakerResetMs = Number(
+  process.env.DEMO_EXTERNAL_BREAKER_RESET_MS || 30000
+);
+const workerStallAfterMs = Number(
+  process.env.DEMO_WORKER_STALL_AFTER_MS || Math.max(60000, jobIntervalMs * 5)
+);
+const jsonBodyLimit = process.env.DEMO_JSON_BODY_LIMIT || "64kb";
+const jobTasks = (process.env.DEMO_JOB_TASKS || "report,export,email,cleanup")
+  .split(",")
+  .map((task) => task.trim())
+  .filter(Boolean);
 
 const baseLogger = pino({
   level: logLevel,
   base: { service: "demo-node-app", hostname: HOSTNAME },
 });
 
+// otel.js is preloaded with `node -r`; reuse that SDK instead of requiring the
+// module here, which would start a second one when it was not preloaded.
+function preloadedTelemetry() {
+  return require.cache[path.join(__dirname, "..", "otel.js")]?.exports;
+}
+
+function withProfileLabels(span, fn) {
+  const telemetry = preloadedTelemetry();
+  return telemetry ? telemetry.withProfileLabels(span, fn) : fn();
+}
+
 const tracer = trace.getTracer("demo-node-app");
 const meter = metrics.getMeter("demo-node-app");
 
-const promRegistry = new client.Registry();
+// Exemplar-enabled histograms can only be registered on an OpenMetrics
+// registry; renderMetrics switches it to the text format per scrape.
+const promRegistry = new client.Registry(
+  client.Registry.OPENMETRICS_CONTENT_TYPE
+);
 client.collectDefaultMetrics({
   register: promRegistry,
 });
@@ -43,6 +101,7 @@ const httpLatencyHistogram = new client.Histogram({
   name: "demo_http_request_duration_seconds",
   help: "HTTP request latency",
   labelNames: ["method", "route", "status_code"],
+  enableExemplars: true,
   registers: [promRegistry],
 });
 
@@ -50,14 +109,140 @@ const jobDurationHistogram = new client.Histogram({
   name: "demo_job_processing_seconds",
   help: "BullMQ job processing duration",
   labelNames: ["task", "state"],
+  enableExemplars: true,
+  registers: [promRegistry],
+});
+
+const jobQueueWaitHistogram = new client.Histogram({
+  name: "demo_job_queue_wait_seconds",
+  help: "Time BullMQ jobs spend queued between becoming ready and starting",
+  labelNames: ["task"],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+  enableExemplars: true,
+  registers: [promRegistry],
+});
+
+const jobFailureCounter = new client.Counter({
+  name: "demo_job_failures_total",
+  help: "Failed BullMQ job attempts by task and error class",
+  labelNames: ["task", "error_class"],
+  registers: [promRegistry],
+});
+
+// Queue depth is read from Redis on a timer (refreshQueueDepth) and cached
+// here, so both the Prometheus collect() hooks and the OTel observable gauge
+// callbacks can report it synchronously.
+const QUEUE_DEPTH_STATES = [
+  "waiting",
+  "prioritized",
+  "active",
+  "delayed",
+  "completed",
+  "failed",
+  "paused",
+];
+const queueDepth = new Map();
+
+const deadLetterGauge = new client.Gauge({
+  name: "demo_dead_letter_queue_size",
+  help: "Jobs waiting in the dead-letter queue",
+  registers: [promRegistry],
+  collect() {
+    const depth = queueDepth.get(deadLetterQueueName);
+    if (depth) {
+      this.set(depth.counts.waiting + depth.counts.paused);
+    }
+  },
+});
+
+const dependencyUpGauge = new client.Gauge({
+  name: "demo_dependency_up",
+  help: "Result of the last dependency health check (1 = up)",
+  labelNames: ["dependency"],
+  registers: [promRegistry],
+});
+
+const dependencyLatencyGauge = new client.Gauge({
+  name: "demo_dependency_check_latency_seconds",
+  help: "Duration of the last dependency health check",
+  labelNames: ["dependency"],
+  registers: [promRegistry],
+});
+
+const upstreamCallCounter = new client.Counter({
+  name: "demo_upstream_calls_total",
+  help: "Upstream calls by outcome (success, failure, rejected by an open circuit)",
+  labelNames: ["upstream", "outcome"],
+  registers: [promRegistry],
+});
+
+const upstreamRetryCounter = new client.Counter({
+  name: "demo_upstream_retries_total",
+  help: "Upstream request attempts retried after a failure",
+  labelNames: ["upstream"],
+  registers: [promRegistry],
+});
+
+const upstreamLatencyHistogram = new client.Histogram({
+  name: "demo_upstream_request_duration_seconds",
+  help: "Duration of individual upstream request attempts",
+  labelNames: ["upstream", "outcome"],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 5, 10],
+  registers: [promRegistry],
+});
+
+const upstreamCircuitGauge = new client.Gauge({
+  name: "demo_upstream_circuit_state",
+  help: "Circuit breaker state per upstream (1 for the current state)",
+  labelNames: ["upstream", "state"],
+  registers: [promRegistry],
+});
+
+const httpErrorCounter = new client.Counter({
+  name: "demo_http_errors_total",
+  help: "HTTP error responses by route, stable error code and status",
+  labelNames: ["route", "code", "status"],
+  registers: [promRegistry],
+});
+
+const rejectedRequestCounter = new client.Counter({
+  name: "demo_http_requests_rejected_total",
+  help: "Requests rejected as invalid input by route and reason",
+  labelNames: ["route", "reason"],
+  registers: [promRegistry],
+});
+
+const faultCounter = new client.Counter({
+  name: "demo_faults_injected_total",
+  help: "Faults injected by the /admin/faults rules",
+  labelNames: ["rule", "kind"],
   registers: [promRegistry],
 });
 
 const jobQueueGauge = new client.Gauge({
   name: "demo_job_queue_size",
   help: "BullMQ queue depth",
-  labelNames: ["state"],
+  labelNames: ["queue", "state"],
+  registers: [promRegistry],
+  collect() {
+    for (const [queue, depth] of queueDepth) {
+      for (const state of QUEUE_DEPTH_STATES) {
+        this.set({ queue, state }, depth.counts[state]);
+      }
+    }
+  },
+});
+
+const oldestWaitingGauge = new client.Gauge({
+  name: "demo_job_queue_oldest_waiting_seconds",
+  help: "Age of the oldest job waiting to be processed",
+  labelNames: ["queue"],
   registers: [promRegistry],
+  collect() {
+    for (const [queue, depth] of queueDepth) {
+      this.set({ queue }, depth.oldestWaitingSeconds);
+    }
+  },
 });
 
 const requestCounter = meter.createCounter("demo_http_requests_total", {
@@ -77,6 +262,11 @@ const jobDuration = meter.createHistogram("demo_job_duration_ms", {
   unit: "ms",
 });
 
+const jobQueueWait = meter.createHistogram("demo_job_queue_wait_ms", {
+  description: "Time BullMQ jobs spend queued before processing starts",
+  unit: "ms",
+});
+
 const memoryGauge = meter.createObservableGauge("demo_process_memory_bytes", {
   description: "Process memory usage by segment",
 });
@@ -88,6 +278,32 @@ memoryGauge.addCallback((observableResult) => {
   observableResult.observe(usage.heapTotal, { type: "heap_total" });
 });
 
+const queueDepthGauge = meter.createObservableGauge("demo_job_queue_depth", {
+  description: "BullMQ queue size segmented by state",
+});
+
+queueDepthGauge.addCallback((observableResult) => {
+  for (const [queue, depth] of queueDepth) {
+    for (const state of QUEUE_DEPTH_STATES) {
+      observableResult.observe(depth.counts[state], { queue, state });
+    }
+  }
+});
+
+const oldestWaitingObservable = meter.createObservableGauge(
+  "demo_job_queue_oldest_waiting_age",
+  {
+    description: "Age of the oldest job waiting to be processed",
+    unit: "s",
+  }
+);
+
+oldestWaitingObservable.addCallback((observableResult) => {
+  for (const [queue, depth] of queueDepth) {
+    observableResult.observe(depth.oldestWaitingSeconds, { queue });
+  }
+});
+
 const cpuGauge = meter.createObservableGauge("demo_process_cpu_user_seconds", {
   description: "User CPU time spent by the process",
 });
@@ -97,11 +313,55 @@ cpuGauge.addCallback((observableResult) => {
   observableResult.observe(usage.user / 1_000_000, { mode: "user" });
 });
 
-const allowRandomFailures =
-  (process.env.DEMO_ALLOW_FAILURES || "").toLowerCase() === "true";
+// Fault injection: rules managed through /admin/faults add latency, errors,
+// Mongo/Redis call failures and CPU/memory spikes to matching routes and job
+// tasks. A rule without route or task applies everywhere, including the
+// background health checks. Rules always expire.
+const MAX_FAULT_RULES = 50;
+const MAX_FAULT_LATENCY_MS = 60_000;
+const MAX_FAULT_TTL_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_FAULT_TTL_MS = 10 * 60 * 1000;
+const MAX_CPU_SPIKE_MS = 10_000;
+const MAX_MEMORY_BALLAST_MB = 512;
+
+const faultContext = new AsyncLocalStorage();
+const memoryBallast = new Set();
+let faultRules = [];
+
+// DEMO_ALLOW_FAILURES keeps its old meaning: 15% of jobs fail, until the rule
+// set is replaced through the admin API.
+if ((process.env.DEMO_ALLOW_FAILURES || "").toLowerCase() === "true") {
+  faultRules.push({
+    id: "DEMO_ALLOW_FAILURES",
+    task: "*",
+    errorRate: 0.15,
+    expiresAt: Infinity,
+  });
+}
+
+let httpServer;
+let draining = false;
+let inFlightRequests = 0;
 
 const app = express();
-app.use(express.json());
+
+app.use((req, res, next) => {
+  inFlightRequests += 1;
+  res.once("close", () => {
+    inFlightRequests -= 1;
+  });
+  if (draining) {
+    res.set("Connection", "close");
+  }
+  next();
+});
+
+// Parsed per route (see validateRequest) so malformed and oversized bodies are
+// rejected once the route has matched and are counted under its template.
+const parseJsonBody = express.json({ limit: jsonBodyLimit });
+
+// Synchronous handler work is attributed to the HTTP server span in profiles.
+app.use((req, res, next) => withProfileLabels(trace.getActiveSpan(), next));
 
 app.use(
   pinoHttp({
@@ -124,21 +384,55 @@ app.use(
   })
 );
 
+// Exemplars only point at sampled spans; unsampled traces never reach Tempo.
+function traceExemplar(span) {
+  const spanContext = span?.spanContext();
+  if (
+    !spanContext ||
+    !isSpanContextValid(spanContext) ||
+    !(spanContext.traceFlags & TraceFlags.SAMPLED)
+  ) {
+    return {};
+  }
+  return { trace_id: spanContext.traceId };
+}
+
+const knownRoutes = new Set();
+
+// Route templates are only known once Express has matched a handler, so this must run after routing
+// (on "finish" or in the error handler). Unmatched paths share one bucket and new templates beyond
+// DEMO_METRICS_MAX_ROUTES collapse into "other" to keep label cardinality bounded.
+function resolveRouteLabel(req) {
+  if (!req.route) {
+    return "unmatched";
+  }
+  const route = `${req.baseUrl || ""}${req.route.path}`;
+  if (knownRoutes.has(route)) {
+    return route;
+  }
+  if (knownRoutes.size >= maxRouteLabels) {
+    return "other";
+  }
+  knownRoutes.add(route);
+  return route;
+}
+
 app.use((req, res, next) => {
-  const start = Date.now();
-  const route = req.route?.path || req.originalUrl || "unknown";
-  const stopTimer = httpLatencyHistogram.startTimer({
-    method: req.method,
-    route,
-  });
+  const start = process.hrtime.bigint();
+  // The server span is only active here, not in the "finish" listener.
+  const exemplarLabels = traceExemplar(trace.getActiveSpan());
   res.on("finish", () => {
-    requestCounter.add(1, {
+    const labels = {
       method: req.method,
-      route,
+      route: resolveRouteLabel(req),
       status_code: res.statusCode,
+    };
+    requestCounter.add(1, labels);
+    httpLatencyHistogram.observe({
+      labels,
+      value: Number(process.hrtime.bigint() - start) / 1e9,
+      exemplarLabels,
     });
-    const duration = Date.now() - start;
-    stopTimer({ status_code: res.statusCode });
   });
   next();
 });
@@ -146,13 +440,64 @@ app.use((req, res, next) => {
 let mongoClient;
 let mongoDb;
 let redis;
+let cacheRedis;
 let jobQueue;
+let deadLetterQueue;
 let jobWorker;
+let lastJobActivityAt = Date.now();
+
+function errorClass(err) {
+  return err?.name || err?.constructor?.name || "Error";
+}
+
+function describeError(err) {
+  return {
+    class: errorClass(err),
+    message: err?.message,
+    stack: err?.stack,
+  };
+}
+
+// Jobs that have used up every attempt are copied to the dead-letter queue
+// (keyed by the original job id, so a repeated "failed" event is a no-op).
+// The failed job stays in the main queue, where it can still be listed and
+// retried; retrying it drops the copy, replaying the copy removes the job.
+async function moveToDeadLetter(job, err) {
+  const task = job.data?.task || "default";
+  await deadLetterQueue.add(
+    job.name,
+    {
+      originalJobId: job.id,
+      name: job.name,
+      task,
+      data: job.data,
+      attemptsMade: job.attemptsMade,
+      failedReason: job.failedReason || err?.message,
+      stacktrace: job.stacktrace,
+      error: describeError(err),
+      failedAt: new Date().toISOString(),
+    },
+    { jobId: job.id, removeOnComplete: false, removeOnFail: false }
+  );
+  await mongoDb.collection("job_events").insertOne({
+    jobId: job.id,
+    task,
+    state: "dead_lettered",
+    error: describeError(err),
+    attemptsMade: job.attemptsMade,
+    createdAt: new Date(),
+  });
+  jobCounter.add(1, { task, state: "dead_lettered" });
+  baseLogger.warn(
+    { jobId: job.id, task, attemptsMade: job.attemptsMade },
+    "Job copied to dead-letter queue"
+  );
+}
 
 async function initialiseDataStores() {
   mongoClient = new MongoClient(mongoUrl, { maxConnecting: 8 });
   await mongoClient.connect();
-  mongoDb = mongoClient.db(mongoDbName);
+  mongoDb = withDependencyFaults("mongo", mongoClient.db(mongoDbName));
   baseLogger.info({ mongoUrl, mongoDbName }, "Connected to MongoDB");
 
   redis = new IORedis(redisUrl, { enableAutoPipelining: true });
@@ -160,66 +505,125 @@ async function initialiseDataStores() {
     baseLogger.error({ err }, "Redis connection error")
   );
   redis.on("ready", () => baseLogger.info("Redis connection ready"));
+  cacheRedis = withDependencyFaults("redis", redis);
 
   jobQueue = new Queue(queueName, { connection: redis });
+  deadLetterQueue = new Queue(deadLetterQueueName, { connection: redis });
   jobWorker = new Worker(
     queueName,
     async (job) => {
-      const span = tracer.startSpan("job.process", {
-        attributes: {
-          "demo.job.id": job.id,
-          "demo.job.name": job.name,
+      // Continue the trace of the request that enqueued the job, if any.
+      const parentContext = propagation.extract(
+        context.active(),
+        job.data?.traceContext ?? {}
+      );
+      // Queue wait is only measured on the first attempt: job.timestamp keeps
+      // the original enqueue time, so a retry would also count the earlier
+      // run and its backoff. BullMQ counts the attempt when it moves the job
+      // to active, so attemptsMade is already 1 on the first run.
+      const firstAttempt = job.attemptsMade <= 1;
+      const readyAt = job.timestamp + (job.opts?.delay ?? 0);
+      const queueWaitMs = Math.max(0, Date.now() - readyAt);
+      const span = tracer.startSpan(
+        "job.process",
+        {
+          kind: SpanKind.CONSUMER,
+          attributes: {
+            "demo.job.id": job.id,
+            "demo.job.name": job.name,
+            "demo.job.attempt": job.attemptsMade,
+            ...(firstAttempt ? { "demo.job.queue_wait_ms": queueWaitMs } : {}),
+          },
         },
-      });
+        parentContext
+      );
+      const waitTask = job.data?.task || "default";
+      const exemplarLabels = traceExemplar(span);
+      if (firstAttempt) {
+        jobQueueWait.record(queueWaitMs, { task: waitTask });
+        jobQueueWaitHistogram.observe({
+          labels: { task: waitTask },
+          value: queueWaitMs / 1000,
+          exemplarLabels,
+        });
+      }
 
+      let eventId;
+      const started = Date.now();
       return context
-        .with(trace.setSpan(context.active(), span), async () => {
-          const started = Date.now();
-          const task = job.data?.task || "default";
-          const collection = mongoDb.collection("job_events");
-          await collection.insertOne({
-            jobId: job.id,
-            task,
-            state: "processing",
-            createdAt: new Date(),
-          });
+        .with(trace.setSpan(parentContext, span), () =>
+          faultContext.run({ task: waitTask }, async () => {
+            lastJobActivityAt = started;
+            const task = job.data?.task || "default";
+            const collection = mongoDb.collection("job_events");
+            const { insertedId } = await collection.insertOne({
+              jobId: job.id,
+              task,
+              state: "processing",
+              createdAt: new Date(),
+            });
+            eventId = insertedId;
 
-          baseLogger.info({ jobId: job.id, task }, "Processing job");
-          const result = await simulateWork(task);
-
-          await collection.updateOne(
-            { jobId: job.id },
-            {
-              $set: {
-                state: "completed",
-                completedAt: new Date(),
-                result,
-              },
-            }
-          );
+            baseLogger.info({ jobId: job.id, task }, "Processing job");
+            const result = await simulateWork(task);
 
-          const elapsedMs = Date.now() - started;
-          jobDuration.record(elapsedMs, {
-            task,
-            state: "completed",
-          });
-          jobDurationHistogram.observe(elapsedMs / 1000, {
-            task,
-            state: "completed",
-          });
-          jobCounter.add(1, { task, state: "completed" });
-          span.setAttribute("demo.job.duration_ms", elapsedMs);
-          span.setStatus({ code: SpanStatusCode.OK });
-          span.end();
-          return result;
-        })
-        .catch((err) => {
+            await collection.updateOne(
+              { _id: insertedId },
+              {
+                $set: {
+                  state: "completed",
+                  completedAt: new Date(),
+                  result,
+                },
+              }
+            );
+
+            const elapsedMs = Date.now() - started;
+            jobDuration.record(elapsedMs, {
+              task,
+              state: "completed",
+            });
+            jobDurationHistogram.observe({
+              labels: { task, state: "completed" },
+              value: elapsedMs / 1000,
+              exemplarLabels,
+            });
+            jobCounter.add(1, { task, state: "completed" });
+            span.setAttribute("demo.job.duration_ms", elapsedMs);
+            span.setStatus({ code: SpanStatusCode.OK });
+            span.end();
+            return result;
+          })
+        )
+        .catch(async (err) => {
           span.recordException(err);
           span.setStatus({ code: SpanStatusCode.ERROR, message: err.message });
           span.end();
           const task = job.data?.task || "default";
           jobCounter.add(1, { task, state: "failed" });
-          jobDurationHistogram.observe(0, { task, state: "failed" });
+          jobDurationHistogram.observe({
+            labels: { task, state: "failed" },
+            value: (Date.now() - started) / 1000,
+            exemplarLabels,
+          });
+          if (eventId) {
+            await mongoDb
+              .collection("job_events")
+              .updateOne(
+                { _id: eventId },
+                {
+                  $set: {
+                    state: "failed",
+                    failedAt: new Date(),
+                    attempt: job.attemptsMade,
+                    error: describeError(err),
+                  },
+                }
+              )
+              .catch((dbErr) =>
+                baseLogger.warn({ err: dbErr }, "Unable to record job failure")
+              );
+          }
           throw err;
         });
     },
@@ -227,31 +631,57 @@ async function initialiseDataStores() {
   );
 
   jobWorker.on("completed", (job) => {
+    lastJobActivityAt = Date.now();
     baseLogger.info({ jobId: job.id }, "Job completed");
   });
 
   jobWorker.on("failed", (job, err) => {
+    lastJobActivityAt = Date.now();
     baseLogger.error({ jobId: job?.id, err }, "Job failed");
+    if (!job) {
+      return;
+    }
+    jobFailureCounter.inc({
+      task: job.data?.task || "default",
+      error_class: errorClass(err),
+    });
+    if (job.attemptsMade >= (job.opts?.attempts ?? 1)) {
+      moveToDeadLetter(job, err).catch((dlqErr) =>
+        baseLogger.error(
+          { jobId: job.id, err: dlqErr },
+          "Unable to move job to dead-letter queue"
+        )
+      );
+    }
   });
+}
 
-  meter.createObservableGauge(
-    "demo_job_queue_depth",
-    { description: "BullMQ queue size segmented by state" },
-    (observableResult) => {
-      const observeState = (promise, state) => {
-        promise
-          .then((count) => {
-            observableResult.observe(count, { state });
-            jobQueueGauge.set({ state }, count);
-          })
-          .catch((err) =>
-            baseLogger.debug({ err }, `Failed to read ${state} count`)
-          );
-      };
-      observeState(jobQueue.getWaitingCount(), "waiting");
-      observeState(jobQueue.getActiveCount(), "active");
-      observeState(jobQueue.getDelayedCount(), "delayed");
-    }
+async function readQueueDepth(queue) {
+  const [counts, [oldest]] = await Promise.all([
+    queue.getJobCounts(...QUEUE_DEPTH_STATES),
+    queue.getWaiting(0, 0),
+  ]);
+  const readyAt = oldest ? oldest.timestamp + (oldest.opts?.delay ?? 0) : 0;
+  return {
+    counts,
+    oldestWaitingSeconds: oldest ? Math.max(0, Date.now() - readyAt) / 1000 : 0,
+  };
+}
+
+// Keeps the last good snapshot of a queue when Redis cannot be read, so a
+// blip does not show up as the queue draining to zero.
+async function refreshQueueDepth() {
+  await Promise.all(
+    [jobQueue, deadLetterQueue].map(async (queue) => {
+      try {
+        queueDepth.set(queue.name, await readQueueDepth(queue));
+      } catch (err) {
+        baseLogger.warn(
+          { err, queue: queue.name },
+          "Failed to refresh queue depth"
+        );
+      }
+    })
   );
 }
 
@@ -260,13 +690,17 @@ async function simulateWork(task) {
   return tracer.startActiveSpan(`simulate.${task}`, async (span) => {
     try {
       const iterations = Math.floor(Math.random() * 10_000) + 10_000;
-      let total = 0;
-      for (let i = 0; i < iterations; i += 1) {
-        total += Math.sqrt(i + Math.random());
-      }
+      const total = withProfileLabels(span, () => {
+        let sum = 0;
+        for (let i = 0; i < iterations; i += 1) {
+          sum += Math.sqrt(i + Math.random());
+        }
+        return sum;
+      });
 
-      if (allowRandomFailures && Math.random() < 0.15) {
-        const error = new Error("Randomised worker failure");
+      try {
+        await injectFaults({ task });
+      } catch (error) {
         errorCounter.add(1, { scope: "worker", task });
         throw error;
       }
@@ -287,200 +721,2016 @@ async function simulateWork(task) {
   });
 }
 
-app.get("/", async (req, res, next) => {
-  try {
-    const [waiting, active, completed] = await Promise.all([
-      jobQueue.getWaitingCount(),
-      jobQueue.getActiveCount(),
-      jobQueue.getCompletedCount(),
-    ]);
-
-    const latest = await mongoDb
-      .collection("job_events")
-      .find()
-      .sort({ createdAt: -1 })
-      .limit(5)
-      .toArray();
-
-    res.json({
-      status: "ok",
-      time: new Date().toISOString(),
-      host: HOSTNAME,
-      queue: { waiting, active, completed },
-      latestJobs: latest,
-    });
-  } catch (error) {
-    next(error);
-  }
-});
+const JOB_LIST_STATES = [
+  "waiting",
+  "prioritized",
+  "active",
+  "delayed",
+  "paused",
+  "completed",
+  "failed",
+];
+const JOB_LIST_MAX_LIMIT = 100;
 
-app.get("/cache", async (req, res, next) => {
-  try {
-    const now = new Date().toISOString();
-    await redis.set("demo:last_seen", now, "EX", 60);
-    const lastSeen = await redis.get("demo:last_seen");
-    res.json({ lastSeen, node: HOSTNAME });
-  } catch (error) {
-    next(error);
-  }
-});
+// Wraps a job/queue administration action in a span, counts it in demo_jobs_total
+// under its own state label and appends it to the job_events audit trail.
+async function runJobAction(action, job, fn) {
+  const task = job ? job.data?.task || job.name || "default" : "queue";
+  return tracer.startActiveSpan(
+    `job.${action}`,
+    { attributes: { "demo.job.id": job?.id, "demo.job.task": task } },
+    async (span) => {
+      try {
+        const result = await fn();
+        jobCounter.add(1, { task, state: action });
+        await mongoDb.collection("job_events").insertOne({
+          jobId: job?.id ?? null,
+          task,
+          state: action,
+          createdAt: new Date(),
+        });
+        span.setStatus({ code: SpanStatusCode.OK });
+        return result;
+      } catch (err) {
+        span.recordException(err);
+        span.setStatus({ code: SpanStatusCode.ERROR, message: err.message });
+        throw err;
+      } finally {
+        span.end();
+      }
+    }
+  );
+}
 
-app.post("/jobs", async (req, res, next) => {
-  try {
-    const task = req.body?.task || "report";
-    const payload = {
-      task,
-      startedBy: req.body?.actor || "api",
-      requestedAt: new Date().toISOString(),
-    };
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
 
-    const job = await jobQueue.add(task, payload, {
-      attempts: 2,
-      backoff: { type: "exponential", delay: 500 },
-      removeOnComplete: false,
-      removeOnFail: false,
-    });
+function beforeDeadline(promise, deadline, what) {
+  let timer;
+  const timeout = new Promise((_resolve, reject) => {
+    timer = setTimeout(
+      () => reject(new Error(`Timed out waiting for ${what}`)),
+      Math.max(0, deadline - Date.now())
+    );
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
 
-    jobCounter.add(1, { task, state: "enqueued" });
+// Errors a handler can throw on purpose: each carries the HTTP status and a
+// stable `code` that clients and dashboards can rely on. Anything else reaching
+// the error middleware is reported as a generic internal_error.
+class AppError extends Error {
+  constructor(
+    message,
+    { status = 500, code = "internal_error", details, cause } = {}
+  ) {
+    super(message, cause ? { cause } : undefined);
+    this.name = new.target.name;
+    this.status = status;
+    this.code = code;
+    if (details) {
+      this.details = details;
+    }
+  }
+}
 
-    req.log.info({ task, jobId: job.id }, "Job enqueued");
-    res.status(202).json({ jobId: job.id, state: "enqueued" });
-  } catch (error) {
-    next(error);
+// `reasons` are the bounded labels the rejection is counted under in
+// demo_http_requests_rejected_total; they default to the error code.
+class ValidationError extends AppError {
+  constructor(message, { reasons, ...options } = {}) {
+    super(message, { status: 400, code: "validation_failed", ...options });
+    this.reasons = reasons ?? [this.code];
   }
-});
+}
 
-app.get("/jobs/:id", async (req, res, next) => {
-  try {
-    const job = await jobQueue.getJob(req.params.id);
-    if (!job) {
-      res.status(404).json({ error: "Job not found" });
-      return;
-    }
+class NotFoundError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { status: 404, code: "not_found", ...options });
+  }
+}
 
-    const state = await job.getState();
-    const logs = await mongoDb
-      .collection("job_events")
-      .find({ jobId: job.id })
-      .sort({ createdAt: -1 })
-      .limit(5)
-      .toArray();
+class ConflictError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { status: 409, code: "conflict", ...options });
+  }
+}
 
-    res.json({
-      jobId: job.id,
-      name: job.name,
-      state,
-      attemptsMade: job.attemptsMade,
-      data: job.data,
-      logs,
+class DependencyError extends AppError {
+  constructor(dependency, message, options = {}) {
+    super(message, {
+      status: 503,
+      code: `${dependency}_unavailable`,
+      ...options,
     });
-  } catch (error) {
-    next(error);
+    this.dependency = dependency;
   }
-});
+}
 
-app.get("/external", async (req, res, next) => {
-  try {
-    const response = await fetch(
-      "https://worldtimeapi.org/api/timezone/Etc/UTC"
-    );
-    const data = await response.json();
-    res.json({ upstream: "worldtimeapi", data });
-  } catch (error) {
-    next(error);
+class UpstreamError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { status: 502, code: "upstream_failed", ...options });
   }
-});
-
-app.get("/error", async (req, res, next) => {
-  const error = new Error("Intentional demo failure");
-  error.status = 503;
-  errorCounter.add(1, { scope: "http", route: "/error" });
-  next(error);
-});
+}
 
-app.get("/healthz", async (req, res) => {
-  const healthy =
-    mongoClient?.topology?.isConnected() && redis?.status === "ready";
-  res.status(healthy ? 200 : 503).json({
-    status: healthy ? "ok" : "degraded",
-    mongo: mongoClient?.topology?.isConnected() ? "ready" : "disconnected",
-    redis: redis?.status,
-  });
-});
+class InjectedFaultError extends AppError {
+  constructor(message, options = {}) {
+    super(message, { code: "fault_injected", ...options });
+  }
+}
 
-app.get("/metrics", async (_req, res) => {
-  res.set("Content-Type", promRegistry.contentType);
-  res.end(await promRegistry.metrics());
-});
+function encodeCursor(position) {
+  return Buffer.from(JSON.stringify(position)).toString("base64url");
+}
 
-app.use((err, req, res, _next) => {
-  req.log.error({ err }, "Request failed");
-  const status = err.status || 500;
-  errorCounter.add(1, {
-    scope: "http",
-    route: req.route?.path || req.originalUrl || "unknown",
-  });
-  res.status(status).json({
-    error: err.message,
-    status,
-  });
-});
+function decodeCursor(cursor) {
+  try {
+    const { s, o } = JSON.parse(Buffer.from(cursor, "base64url").toString());
+    if (Number.isInteger(s) && Number.isInteger(o) && s >= 0 && o >= 0) {
+      return { s, o };
+    }
+  } catch (err) {
+    // fall through to the 400 below
+  }
+  throw new ValidationError("Invalid cursor", { code: "invalid_cursor" });
+}
 
-process.on("unhandledRejection", (reason, promise) => {
-  baseLogger.error({ reason, promise }, "Unhandled promise rejection");
-  errorCounter.add(1, { scope: "process", type: "unhandledRejection" });
-});
+function serialiseJob(job, state) {
+  return {
+    jobId: job.id,
+    name: job.name,
+    state,
+    task: job.data?.task,
+    attemptsMade: job.attemptsMade,
+    failedReason: job.failedReason,
+    timestamp: job.timestamp,
+    processedOn: job.processedOn,
+    finishedOn: job.finishedOn,
+  };
+}
 
-process.on("uncaughtException", (err) => {
-  baseLogger.fatal({ err }, "Uncaught exception");
-  errorCounter.add(1, { scope: "process", type: "uncaughtException" });
-});
+async function getJobOr404(id) {
+  const job = await jobQueue.getJob(id);
+  if (!job) {
+    throw new NotFoundError("Job not found", { code: "job_not_found" });
+  }
+  return job;
+}
 
-async function start() {
-  try {
-    await initialiseDataStores();
+const defaultJobOptions = {
+  attempts: 2,
+  backoff: { type: "exponential", delay: 500 },
+  removeOnComplete: false,
+  removeOnFail: false,
+};
 
-    setInterval(() => {
-      jobQueue
-        .add(
-          "heartbeat",
-          {
-            task: "heartbeat",
-            producedAt: new Date().toISOString(),
-          },
-          { removeOnComplete: false, attempts: 1 }
-        )
-        .catch((err) =>
-          baseLogger.warn({ err }, "Unable to enqueue heartbeat")
-        );
-    }, jobIntervalMs).unref();
+const MAX_JOB_DELAY_MS = 30 * 24 * 60 * 60 * 1000;
+const MAX_JOB_ATTEMPTS = 20;
+// BullMQ stores priorities in 21 bits; 1 is the highest priority.
+const MAX_JOB_PRIORITY = 2 ** 21;
 
-    setInterval(() => {
-      baseLogger.info(
-        {
-          memory: process.memoryUsage(),
-          loadAvg: os.loadavg(),
-        },
-        "process heartbeat"
-      );
-    }, 15000).unref();
+function isIntegerInRange(value, min, max) {
+  return Number.isInteger(value) && value >= min && value <= max;
+}
 
-    app.listen(PORT, () => {
-      baseLogger.info({ port: PORT }, "Demo service listening");
-    });
-  } catch (error) {
-    baseLogger.fatal({ error }, "Failed to start demo service");
-    process.exit(1);
+function isTimeZone(tz) {
+  if (typeof tz !== "string") {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat(undefined, { timeZone: tz });
+    return true;
+  } catch (err) {
+    return false;
   }
 }
 
-start();
+// Translates the scheduling fields accepted by POST /jobs into BullMQ job
+// options. Problems are pushed onto `problems` rather than thrown so the
+// request schema can report them next to every other violation.
+function parseJobOptions(body = {}, problems = []) {
+  const options = { ...defaultJobOptions };
+  const { delay, runAt, cron, tz, priority, attempts, backoff } = body;
 
-process.on("SIGTERM", async () => {
-  baseLogger.info("Received SIGTERM, shutting down");
-  await jobWorker?.close();
-  await jobQueue?.close();
-  await redis?.quit();
-  await mongoClient?.close();
-  process.exit(0);
-});
+  const schedules = [delay, runAt, cron].filter((value) => value !== undefined);
+  if (schedules.length > 1) {
+    problems.push("Only one of delay, runAt or cron may be set");
+  }
+  if (delay !== undefined) {
+    if (isIntegerInRange(delay, 0, MAX_JOB_DELAY_MS)) {
+      options.delay = delay;
+    } else {
+      problems.push(
+        `delay must be an integer between 0 and ${MAX_JOB_DELAY_MS} ms`
+      );
+    }
+  }
+  if (runAt !== undefined) {
+    const timestamp = typeof runAt === "string" ? Date.parse(runAt) : NaN;
+    if (Number.isNaN(timestamp)) {
+      problems.push("runAt must be an ISO-8601 timestamp");
+    } else if (timestamp - Date.now() > MAX_JOB_DELAY_MS) {
+      problems.push("runAt must be within 30 days");
+    } else {
+      options.delay = Math.max(0, timestamp - Date.now());
+    }
+  }
+  if (cron !== undefined) {
+    const tzValid = tz === undefined || isTimeZone(tz);
+    if (!tzValid) {
+      problems.push("tz must be an IANA time zone such as Europe/Berlin");
+    }
+    try {
+      if (typeof cron !== "string") {
+        throw new Error("not a string");
+      }
+      // next() fails for expressions that parse but never fire, which BullMQ
+      // would otherwise swallow and add no job at all.
+      cronParser.parseExpression(cron, tz && tzValid ? { tz } : {}).next();
+      options.repeat = { pattern: cron, ...(tz ? { tz } : {}) };
+    } catch (err) {
+      problems.push(`cron must be a valid cron expression (${err.message})`);
+    }
+  } else if (tz !== undefined) {
+    problems.push("tz is only allowed together with cron");
+  }
+  if (priority !== undefined) {
+    if (isIntegerInRange(priority, 1, MAX_JOB_PRIORITY)) {
+      options.priority = priority;
+    } else {
+      problems.push(
+        `priority must be an integer between 1 and ${MAX_JOB_PRIORITY}`
+      );
+    }
+  }
+  if (attempts !== undefined) {
+    if (isIntegerInRange(attempts, 1, MAX_JOB_ATTEMPTS)) {
+      options.attempts = attempts;
+    } else {
+      problems.push(
+        `attempts must be an integer between 1 and ${MAX_JOB_ATTEMPTS}`
+      );
+    }
+  }
+  if (backoff !== undefined) {
+    if (isIntegerInRange(backoff, 0, MAX_JOB_DELAY_MS)) {
+      options.backoff = { type: "fixed", delay: backoff };
+    } else if (
+      backoff &&
+      ["fixed", "exponential"].includes(backoff.type) &&
+      isIntegerInRange(backoff.delay, 0, MAX_JOB_DELAY_MS)
+    ) {
+      options.backoff = { type: backoff.type, delay: backoff.delay };
+    } else {
+      problems.push(
+        'backoff must be a delay in ms or { "type": "fixed" | "exponential", "delay": <ms> }'
+      );
+    }
+  }
+  return options;
+}
+
+function scheduleState(options) {
+  if (options.repeat) {
+    return "repeating";
+  }
+  return options.delay > 0 ? "scheduled" : "enqueued";
+}
+
+function buildJobPayload(task, actor) {
+  return {
+    task,
+    startedBy: actor || "api",
+    requestedAt: new Date().toISOString(),
+  };
+}
+
+// Carries the W3C trace context of the active (producer) span inside the job
+// data so the worker can parent job.process under it. Repeatable jobs are
+// skipped: every run would otherwise join the trace that created the schedule.
+function withTraceContext(data, options) {
+  if (options.repeat) {
+    return data;
+  }
+  const traceContext = {};
+  propagation.inject(context.active(), traceContext);
+  return { ...data, traceContext };
+}
+
+async function enqueueJob(task, data, options) {
+  return tracer.startActiveSpan(
+    "job.enqueue",
+    {
+      kind: SpanKind.PRODUCER,
+      attributes: { "demo.job.task": task, "demo.job.queue": queueName },
+    },
+    async (span) => {
+      try {
+        const job = await jobQueue.add(
+          task,
+          withTraceContext(data, options),
+          options
+        );
+        // BullMQ adds no job when a repeat schedule has no next run.
+        if (!job) {
+          throw new ValidationError("The repeat schedule never fires", {
+            code: "invalid_schedule",
+          });
+        }
+        span.setAttribute("demo.job.id", job.id);
+        return job;
+      } catch (err) {
+        span.recordException(err);
+        span.setStatus({ code: SpanStatusCode.ERROR, message: err.message });
+        throw err;
+      } finally {
+        span.end();
+      }
+    }
+  );
+}
+
+async function recordEnqueued(jobs, states) {
+  jobs.forEach((job, index) =>
+    jobCounter.add(1, { task: job.data.task, state: states[index] })
+  );
+  await mongoDb.collection("job_events").insertMany(
+    jobs.map((job, index) => ({
+      jobId: job.id,
+      task: job.data.task,
+      state: states[index],
+      createdAt: new Date(),
+    }))
+  );
+}
+
+function compileRoutePattern(route) {
+  const source = route
+    .split("*")
+    .map((part) =>
+      part
+        .replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+        .replace(/:[A-Za-z_]\w*/g, "[^/]+")
+    )
+    .join(".*");
+  return new RegExp(`^${source}$`);
+}
+
+function faultRuleMatches(rule, target) {
+  if (rule.expiresAt <= Date.now()) {
+    return false;
+  }
+  if (!rule.route && !rule.task) {
+    return true;
+  }
+  if (rule.route && target.route) {
+    return rule.routePattern.test(target.route);
+  }
+  if (rule.task && target.task) {
+    return rule.task === "*" || rule.task === target.task;
+  }
+  return false;
+}
+
+function activeFaultRules() {
+  faultRules = faultRules.filter((rule) => rule.expiresAt > Date.now());
+  return faultRules;
+}
+
+function sampleLatency(latency) {
+  switch (latency.distribution) {
+    case "uniform":
+      return latency.minMs + Math.random() * (latency.maxMs - latency.minMs);
+    case "exponential":
+      return Math.min(
+        -Math.log(1 - Math.random()) * latency.meanMs,
+        MAX_FAULT_LATENCY_MS
+      );
+    default:
+      return latency.ms;
+  }
+}
+
+function injectedFaultError(rule, kind, message, status = 500) {
+  return new InjectedFaultError(message, {
+    status,
+    details: [`fault rule ${rule.id} (${kind})`],
+  });
+}
+
+function recordFault(rule, kind, attributes = {}) {
+  faultCounter.inc({ rule: rule.id, kind });
+  const span = trace.getActiveSpan();
+  span?.setAttribute("demo.fault.injected", true);
+  span?.addEvent("fault.injected", {
+    "demo.fault.rule": rule.id,
+    "demo.fault.kind": kind,
+    ...attributes,
+  });
+}
+
+function spikeCpu(ms) {
+  const until = Date.now() + ms;
+  let x = 0;
+  while (Date.now() < until) {
+    x += Math.sqrt(x + 1);
+  }
+}
+
+function spikeMemory(mb, holdMs) {
+  if ((memoryBallast.size + 1) * mb > MAX_MEMORY_BALLAST_MB) {
+    return false;
+  }
+  const ballast = Buffer.alloc(mb * 1024 * 1024, 1);
+  memoryBallast.add(ballast);
+  setTimeout(() => memoryBallast.delete(ballast), holdMs).unref();
+  return true;
+}
+
+// Applies the latency, spike and error faults of every rule matching a request
+// route or job task, in that order, so a slow failing call looks like one.
+async function injectFaults(target) {
+  for (const rule of activeFaultRules()) {
+    if (!faultRuleMatches(rule, target)) {
+      continue;
+    }
+    if (rule.latency && Math.random() < rule.latency.rate) {
+      const delayMs = Math.round(sampleLatency(rule.latency));
+      recordFault(rule, "latency", { "demo.fault.latency_ms": delayMs });
+      await sleep(delayMs);
+    }
+    if (rule.cpuSpikeMs && Math.random() < rule.spikeRate) {
+      recordFault(rule, "cpu_spike", { "demo.fault.cpu_ms": rule.cpuSpikeMs });
+      spikeCpu(rule.cpuSpikeMs);
+    }
+    if (
+      rule.memorySpikeMb &&
+      Math.random() < rule.spikeRate &&
+      spikeMemory(rule.memorySpikeMb, rule.memoryHoldMs)
+    ) {
+      recordFault(rule, "memory_spike", {
+        "demo.fault.memory_mb": rule.memorySpikeMb,
+      });
+    }
+    if (rule.errorRate && Math.random() < rule.errorRate) {
+      recordFault(rule, "error");
+      throw injectedFaultError(
+        rule,
+        "error",
+        target.task
+          ? `Injected failure in task ${target.task}`
+          : "Injected fault",
+        rule.errorStatus
+      );
+    }
+  }
+}
+
+function injectDependencyFault(dependency) {
+  const target = faultContext.getStore() ?? {};
+  for (const rule of activeFaultRules()) {
+    const rate = rule.dependencyErrorRate?.[dependency];
+    if (rate && faultRuleMatches(rule, target) && Math.random() < rate) {
+      recordFault(rule, `${dependency}_error`);
+      throw injectedFaultError(
+        rule,
+        `${dependency}_error`,
+        `Injected ${dependency} failure`,
+        503
+      );
+    }
+  }
+}
+
+// Wraps a Mongo Db or Redis client so every method call (and, for Mongo, every
+// collection method) first consults the dependency fault rules. BullMQ keeps
+// the raw Redis connection so injected failures never corrupt queue state.
+function withDependencyFaults(dependency, client) {
+  const wrap = (target) =>
+    new Proxy(target, {
+      get(object, property) {
+        const value = Reflect.get(object, property, object);
+        if (typeof value !== "function") {
+          return value;
+        }
+        if (property === "collection") {
+          return (...args) => wrap(value.apply(object, args));
+        }
+        return (...args) => {
+          injectDependencyFault(dependency);
+          return value.apply(object, args);
+        };
+      },
+    });
+  return wrap(client);
+}
+
+function isRate(value) {
+  return typeof value === "number" && value >= 0 && value <= 1;
+}
+
+function parseLatency(latency, problems, prefix) {
+  if (!latency || typeof latency !== "object") {
+    problems.push(`${prefix}.latency must be an object`);
+    return undefined;
+  }
+  const { distribution = "fixed", rate = 1 } = latency;
+  const inRange = (value) => isIntegerInRange(value, 0, MAX_FAULT_LATENCY_MS);
+  if (!isRate(rate)) {
+    problems.push(`${prefix}.latency.rate must be between 0 and 1`);
+  }
+  if (distribution === "fixed" && inRange(latency.ms)) {
+    return { distribution, rate, ms: latency.ms };
+  }
+  if (
+    distribution === "uniform" &&
+    inRange(latency.minMs) &&
+    inRange(latency.maxMs) &&
+    latency.minMs <= latency.maxMs
+  ) {
+    return { distribution, rate, minMs: latency.minMs, maxMs: latency.maxMs };
+  }
+  if (distribution === "exponential" && inRange(latency.meanMs)) {
+    return { distribution, rate, meanMs: latency.meanMs };
+  }
+  problems.push(
+    `${prefix}.latency must be { "distribution": "fixed", "ms" } | { "distribution": "uniform", "minMs", "maxMs" } | { "distribution": "exponential", "meanMs" } with values up to ${MAX_FAULT_LATENCY_MS} ms`
+  );
+  return undefined;
+}
+
+// Validates the PUT /admin/faults body; like parseJobOptions it collects every
+// problem so the 400 response lists them all.
+function parseFaultRules(body = {}) {
+  const problems = [];
+  const { rules } = body;
+  if (!Array.isArray(rules) || rules.length > MAX_FAULT_RULES) {
+    problems.push(`rules must be an array of at most ${MAX_FAULT_RULES} rules`);
+  }
+  const parsed = (Array.isArray(rules) ? rules : []).map((rule, index) => {
+    const prefix = `rules[${index}]`;
+    const result = { id: `fault-${index + 1}` };
+    if (!rule || typeof rule !== "object") {
+      problems.push(`${prefix} must be an object`);
+      return result;
+    }
+    if (rule.id !== undefined) {
+      if (typeof rule.id === "string" && /^[\w.-]{1,64}$/.test(rule.id)) {
+        result.id = rule.id;
+      } else {
+        problems.push(`${prefix}.id must be 1-64 letters, digits, _ . or -`);
+      }
+    }
+    if (rule.route !== undefined && rule.task !== undefined) {
+      problems.push(`${prefix} may target a route or a task, not both`);
+    }
+    if (rule.route !== undefined) {
+      if (typeof rule.route === "string" && rule.route.startsWith("/")) {
+        result.route = rule.route;
+        result.routePattern = compileRoutePattern(rule.route);
+      } else {
+        problems.push(`${prefix}.route must be a path such as /jobs/:id`);
+      }
+    }
+    if (rule.task !== undefined) {
+      if (typeof rule.task === "string" && rule.task.length > 0) {
+        result.task = rule.task;
+      } else {
+        problems.push(`${prefix}.task must be a task name or "*"`);
+      }
+    }
+    if (rule.errorRate !== undefined) {
+      if (isRate(rule.errorRate)) {
+        result.errorRate = rule.errorRate;
+      } else {
+        problems.push(`${prefix}.errorRate must be between 0 and 1`);
+      }
+    }
+    result.errorStatus = rule.errorStatus ?? 500;
+    if (!isIntegerInRange(result.errorStatus, 400, 599)) {
+      problems.push(`${prefix}.errorStatus must be an HTTP status 400-599`);
+    }
+    if (rule.latency !== undefined) {
+      result.latency = parseLatency(rule.latency, problems, prefix);
+    }
+    if (rule.dependencyErrorRate !== undefined) {
+      const rates = rule.dependencyErrorRate;
+      const valid =
+        rates &&
+        typeof rates === "object" &&
+        Object.entries(rates).every(
+          ([name, rate]) => ["mongo", "redis"].includes(name) && isRate(rate)
+        );
+      if (valid) {
+        result.dependencyErrorRate = { ...rates };
+      } else {
+        problems.push(
+          `${prefix}.dependencyErrorRate must map mongo and/or redis to a rate between 0 and 1`
+        );
+      }
+    }
+    if (rule.cpuSpikeMs !== undefined) {
+      if (isIntegerInRange(rule.cpuSpikeMs, 0, MAX_CPU_SPIKE_MS)) {
+        result.cpuSpikeMs = rule.cpuSpikeMs;
+      } else {
+        problems.push(
+          `${prefix}.cpuSpikeMs must be an integer between 0 and ${MAX_CPU_SPIKE_MS}`
+        );
+      }
+    }
+    if (rule.memorySpikeMb !== undefined) {
+      if (isIntegerInRange(rule.memorySpikeMb, 0, MAX_MEMORY_BALLAST_MB)) {
+        result.memorySpikeMb = rule.memorySpikeMb;
+      } else {
+        problems.push(
+          `${prefix}.memorySpikeMb must be an integer between 0 and ${MAX_MEMORY_BALLAST_MB}`
+        );
+      }
+    }
+    result.memoryHoldMs = rule.memoryHoldMs ?? 30_000;
+    if (!isIntegerInRange(result.memoryHoldMs, 0, MAX_FAULT_TTL_MS)) {
+      problems.push(`${prefix}.memoryHoldMs must be a positive integer`);
+    }
+    result.spikeRate = rule.spikeRate ?? 1;
+    if (!isRate(result.spikeRate)) {
+      problems.push(`${prefix}.spikeRate must be between 0 and 1`);
+    }
+    if (rule.expiresAt !== undefined && rule.ttlMs !== undefined) {
+      problems.push(`${prefix} may set expiresAt or ttlMs, not both`);
+    }
+    if (rule.expiresAt !== undefined) {
+      const expiresAt =
+        typeof rule.expiresAt === "string" ? Date.parse(rule.expiresAt) : NaN;
+      if (
+        Number.isNaN(expiresAt) ||
+        expiresAt <= Date.now() ||
+        expiresAt - Date.now() > MAX_FAULT_TTL_MS
+      ) {
+        problems.push(
+          `${prefix}.expiresAt must be an ISO-8601 timestamp within the next 24 hours`
+        );
+      }
+      result.expiresAt = expiresAt;
+    } else {
+      const ttlMs = rule.ttlMs ?? DEFAULT_FAULT_TTL_MS;
+      if (!isIntegerInRange(ttlMs, 1, MAX_FAULT_TTL_MS)) {
+        problems.push(`${prefix}.ttlMs must be an integer up to 24 hours`);
+      }
+      result.expiresAt = Date.now() + ttlMs;
+    }
+    return result;
+  });
+
+  const ids = parsed.map((rule) => rule.id);
+  if (new Set(ids).size !== ids.length) {
+    problems.push("rule ids must be unique");
+  }
+  if (problems.length > 0) {
+    throw new ValidationError("Invalid fault rules", {
+      code: "invalid_fault_rules",
+      details: problems,
+    });
+  }
+  return parsed;
+}
+
+function serialiseFaultRule({ routePattern, expiresAt, ...rule }) {
+  return {
+    ...rule,
+    expiresAt: Number.isFinite(expiresAt)
+      ? new Date(expiresAt).toISOString()
+      : null,
+  };
+}
+
+// Added per route rather than app-wide so req.route is already matched and
+// injected errors and latency are labelled with the route template. The
+// fault admin API, probes and /metrics leave it out.
+function injectRouteFaults(req, res, next) {
+  faultContext.run({ route: req.path }, async () => {
+    try {
+      await injectFaults({ route: req.path });
+      next();
+    } catch (error) {
+      next(error);
+    }
+  });
+}
+
+// Request schemas declare the params, query and body fields a route accepts.
+// A rule may set type (string | integer | array | object), required, enum,
+// pattern, maxLength, min/max, minItems/maxItems/items, fields and a
+// `check(value, report)` for rules that span fields. Unknown fields are
+// rejected too, and every violation is counted under its rule's `reason`
+// (inherited from the enclosing rule, `invalid_<part>` at the top).
+const JOB_ID_PATTERN = /^[\w:.-]{1,128}$/;
+const MAX_ACTOR_LENGTH = 64;
+
+function checkValue(value, rule, path, reason, problems) {
+  const ownReason = rule.reason ?? reason;
+  const fail = (message) =>
+    problems.push({ reason: ownReason, message: `${path} ${message}` });
+
+  if (rule.type === "string") {
+    if (typeof value !== "string") {
+      return fail("must be a string");
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      return fail(`must be at most ${rule.maxLength} characters`);
+    }
+    if (rule.pattern && !rule.pattern.test(value)) {
+      return fail(`must match ${rule.pattern}`);
+    }
+  } else if (rule.type === "integer") {
+    // Query strings arrive as strings but must still spell a plain integer.
+    const number =
+      typeof value === "string" && /^-?\d+$/.test(value)
+        ? Number(value)
+        : value;
+    if (!isIntegerInRange(number, rule.min, rule.max)) {
+      return fail(`must be an integer between ${rule.min} and ${rule.max}`);
+    }
+  } else if (rule.type === "array") {
+    const minItems = rule.minItems ?? 0;
+    if (
+      !Array.isArray(value) ||
+      value.length < minItems ||
+      value.length > rule.maxItems
+    ) {
+      return fail(`must be an array of ${minItems}-${rule.maxItems} items`);
+    }
+    if (rule.items) {
+      value.forEach((item, index) =>
+        checkValue(item, rule.items, `${path}[${index}]`, ownReason, problems)
+      );
+    }
+  } else if (rule.type === "object") {
+    if (!value || typeof value !== "object" || Array.isArray(value)) {
+      return fail("must be an object");
+    }
+    Object.keys(value)
+      .filter((key) => !Object.hasOwn(rule.fields, key))
+      .forEach((key) =>
+        problems.push({
+          reason: ownReason,
+          message: `${path}.${key} is not allowed`,
+        })
+      );
+    Object.entries(rule.fields).forEach(([key, fieldRule]) => {
+      if (value[key] !== undefined) {
+        checkValue(
+          value[key],
+          fieldRule,
+          `${path}.${key}`,
+          ownReason,
+          problems
+        );
+      } else if (fieldRule.required) {
+        problems.push({
+          reason: fieldRule.reason ?? ownReason,
+          message: `${path}.${key} is required`,
+        });
+      }
+    });
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    return fail(`must be one of ${rule.enum.join(", ")}`);
+  }
+  rule.check?.(value, (message) =>
+    problems.push({ reason: ownReason, message: `${path}: ${message}` })
+  );
+}
+
+// Routes whose schema declares a body get the JSON body parser in front of
+// the check; other routes never parse a body.
+function validateRequest(schema) {
+  const validate = (req, res, next) => {
+    const problems = [];
+    for (const part of ["params", "query", "body"]) {
+      if (schema[part]) {
+        checkValue(
+          req[part] ?? {},
+          { type: "object", ...schema[part] },
+          part,
+          `invalid_${part}`,
+          problems
+        );
+      }
+    }
+    if (problems.length === 0) {
+      next();
+      return;
+    }
+    next(
+      new ValidationError("Request validation failed", {
+        details: problems.map((problem) => problem.message),
+        reasons: [...new Set(problems.map((problem) => problem.reason))],
+      })
+    );
+  };
+  return schema.body ? [parseJsonBody, validate] : validate;
+}
+
+function checkCursor(cursor, report) {
+  try {
+    decodeCursor(cursor);
+  } catch (err) {
+    report("not a valid cursor");
+  }
+}
+
+function checkJobStates(value, report) {
+  const unknown = value
+    .split(",")
+    .filter((state) => !JOB_LIST_STATES.includes(state));
+  if (unknown.length > 0) {
+    report(
+      `unknown state(s) ${unknown.join(", ")}; expected ${JOB_LIST_STATES.join(", ")}`
+    );
+  }
+}
+
+function checkJobOptions(body, report) {
+  const problems = [];
+  parseJobOptions(body, problems);
+  problems.forEach(report);
+}
+
+const jobIdParams = {
+  fields: { id: { type: "string", required: true, pattern: JOB_ID_PATTERN } },
+};
+
+const paginationQuery = {
+  limit: { type: "integer", min: 1, max: JOB_LIST_MAX_LIMIT },
+  cursor: { type: "string", maxLength: 256, check: checkCursor },
+};
+
+// Scheduling fields are only declared here; parseJobOptions validates them.
+const jobBody = {
+  type: "object",
+  fields: {
+    task: { type: "string", enum: jobTasks, reason: "unknown_task" },
+    actor: { type: "string", maxLength: MAX_ACTOR_LENGTH },
+    delay: {},
+    runAt: {},
+    cron: {},
+    tz: {},
+    priority: {},
+    attempts: {},
+    backoff: {},
+  },
+  check: checkJobOptions,
+};
+
+// Queue.addBulk ignores `repeat` and would run a cron entry once, right away,
+// so repeatable jobs can only be created through POST /jobs.
+const bulkJobBody = {
+  ...jobBody,
+  fields: Object.fromEntries(
+    Object.entries(jobBody.fields).filter(
+      ([name]) => name !== "cron" && name !== "tz"
+    )
+  ),
+};
+
+const requestSchemas = {
+  // Routes without inputs still reject unexpected query parameters and bodies.
+  noInputs: { query: { fields: {} } },
+  noInputsWithBody: { query: { fields: {} }, body: { fields: {} } },
+  enqueueJob: { body: jobBody },
+  enqueueBulk: {
+    body: {
+      fields: {
+        jobs: {
+          type: "array",
+          required: true,
+          minItems: 1,
+          maxItems: JOB_LIST_MAX_LIMIT,
+          items: bulkJobBody,
+        },
+        actor: { type: "string", maxLength: MAX_ACTOR_LENGTH },
+      },
+    },
+  },
+  listJobs: {
+    query: {
+      fields: {
+        ...paginationQuery,
+        state: { type: "string", check: checkJobStates },
+        task: { type: "string", maxLength: 64 },
+      },
+    },
+  },
+  listDeadLetter: { query: { fields: paginationQuery } },
+  jobById: { params: jobIdParams },
+  repeatableByKey: {
+    params: {
+      fields: { key: { type: "string", required: true, maxLength: 512 } },
+    },
+  },
+  replaceFaults: {
+    body: {
+      fields: {
+        rules: { type: "array", required: true, maxItems: MAX_FAULT_RULES },
+      },
+    },
+  },
+};
+
+app.get(
+  "/",
+  injectRouteFaults,
+  validateRequest(requestSchemas.noInputs),
+  async (req, res, next) => {
+    try {
+      const [waiting, active, completed] = await Promise.all([
+        jobQueue.getWaitingCount(),
+        jobQueue.getActiveCount(),
+        jobQueue.getCompletedCount(),
+      ]);
+
+      const latest = await mongoDb
+        .collection("job_events")
+        .find()
+        .sort({ createdAt: -1 })
+        .limit(5)
+        .toArray();
+
+      res.json({
+        status: "ok",
+        time: new Date().toISOString(),
+        host: HOSTNAME,
+        queue: { waiting, active, completed },
+        latestJobs: latest,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.get(
+  "/cache",
+  injectRouteFaults,
+  validateRequest(requestSchemas.noInputs),
+  async (req, res, next) => {
+    try {
+      const now = new Date().toISOString();
+      await cacheRedis.set("demo:last_seen", now, "EX", 60);
+      const lastSeen = await cacheRedis.get("demo:last_seen");
+      res.json({ lastSeen, node: HOSTNAME });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.post(
+  "/jobs",
+  injectRouteFaults,
+  validateRequest(requestSchemas.enqueueJob),
+  async (req, res, next) => {
+    try {
+      const task = req.body.task || jobTasks[0];
+      const options = parseJobOptions(req.body);
+      const state = scheduleState(options);
+      const job = await enqueueJob(
+        task,
+        buildJobPayload(task, req.body.actor),
+        options
+      );
+
+      await recordEnqueued([job], [state]);
+
+      req.log.info({ task, jobId: job.id, state }, "Job enqueued");
+      res.status(202).json({
+        jobId: job.id,
+        state,
+        ...(options.delay > 0
+          ? { runAt: new Date(Date.now() + options.delay).toISOString() }
+          : {}),
+        ...(options.repeat ? { repeat: options.repeat } : {}),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.post(
+  "/jobs/bulk",
+  injectRouteFaults,
+  validateRequest(requestSchemas.enqueueBulk),
+  async (req, res, next) => {
+    try {
+      const entries = req.body.jobs;
+      const parsed = entries.map((entry) => parseJobOptions(entry));
+
+      const jobs = await tracer.startActiveSpan(
+        "job.bulk_enqueue",
+        {
+          kind: SpanKind.PRODUCER,
+          attributes: {
+            "demo.job.count": entries.length,
+            "demo.job.queue": queueName,
+          },
+        },
+        async (span) => {
+          try {
+            return await jobQueue.addBulk(
+              entries.map((entry, index) => {
+                const task = entry.task || jobTasks[0];
+                return {
+                  name: task,
+                  data: withTraceContext(
+                    buildJobPayload(task, entry.actor || req.body.actor),
+                    parsed[index]
+                  ),
+                  opts: parsed[index],
+                };
+              })
+            );
+          } finally {
+            span.end();
+          }
+        }
+      );
+
+      await recordEnqueued(jobs, parsed.map(scheduleState));
+
+      req.log.info({ count: jobs.length }, "Jobs enqueued in bulk");
+      res.status(202).json({
+        jobIds: jobs.map((job) => job.id),
+        state: "enqueued",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.get(
+  "/jobs/dead-letter",
+  injectRouteFaults,
+  validateRequest(requestSchemas.listDeadLetter),
+  async (req, res, next) => {
+    try {
+      const limit = Number(req.query.limit ?? 20);
+      const { o: offset } = req.query.cursor
+        ? decodeCursor(req.query.cursor)
+        : { o: 0 };
+      const [total, entries] = await Promise.all([
+        deadLetterQueue.getWaitingCount(),
+        deadLetterQueue.getJobs(["waiting"], offset, offset + limit - 1),
+      ]);
+      res.json({
+        total,
+        jobs: entries.filter(Boolean).map((entry) => ({
+          jobId: entry.id,
+          name: entry.name,
+          task: entry.data.task,
+          attemptsMade: entry.data.attemptsMade,
+          failedReason: entry.data.failedReason,
+          error: entry.data.error,
+          failedAt: entry.data.failedAt,
+        })),
+        nextCursor:
+          offset + entries.length < total
+            ? encodeCursor({ s: 0, o: offset + entries.length })
+            : null,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.post(
+  "/jobs/dead-letter/:id/replay",
+  injectRouteFaults,
+  validateRequest(requestSchemas.jobById),
+  async (req, res, next) => {
+    try {
+      const entry = await deadLetterQueue.getJob(req.params.id);
+      if (!entry) {
+        throw new NotFoundError("Dead-letter job not found", {
+          code: "dead_letter_job_not_found",
+        });
+      }
+      const { task, name, data } = entry.data;
+      const { traceContext, ...payload } = data ?? {};
+      const job = await runJobAction("replayed", entry, async () => {
+        const replayed = await enqueueJob(
+          name || task,
+          { ...payload, replayOf: entry.id },
+          defaultJobOptions
+        );
+        const original = await jobQueue.getJob(entry.id);
+        if (original && (await original.getState()) === "failed") {
+          await original.remove();
+        }
+        await entry.remove();
+        return replayed;
+      });
+      req.log.info(
+        { deadLetterJobId: entry.id, jobId: job.id },
+        "Dead-letter job replayed"
+      );
+      res.status(202).json({
+        jobId: job.id,
+        replayOf: entry.id,
+        state: "enqueued",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.get(
+  "/jobs/repeatable",
+  injectRouteFaults,
+  validateRequest(requestSchemas.noInputs),
+  async (req, res, next) => {
+    try {
+      const repeatable = await jobQueue.getRepeatableJobs();
+      res.json({
+        jobs: repeatable.map((job) => ({
+          key: job.key,
+          name: job.name,
+          pattern: job.pattern,
+          every: job.every,
+          tz: job.tz,
+          next: job.next ? new Date(job.next).toISOString() : null,
+        })),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.delete(
+  "/jobs/repeatable/:key",
+  injectRouteFaults,
+  validateRequest(requestSchemas.repeatableByKey),
+  async (req, res, next) => {
+    try {
+      const repeatable = await jobQueue.getRepeatableJobs();
+      if (!repeatable.some((job) => job.key === req.params.key)) {
+        throw new NotFoundError("Repeatable job not found", {
+          code: "repeatable_job_not_found",
+        });
+      }
+      await runJobAction("unscheduled", null, () =>
+        jobQueue.removeRepeatableByKey(req.params.key)
+      );
+      res.json({ key: req.params.key, state: "unscheduled" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.get(
+  "/jobs",
+  injectRouteFaults,
+  validateRequest(requestSchemas.listJobs),
+  async (req, res, next) => {
+    try {
+      const states = req.query.state
+        ? req.query.state.split(",")
+        : JOB_LIST_STATES;
+      const limit = Number(req.query.limit ?? 20);
+      const task = req.query.task;
+      const position = req.query.cursor
+        ? decodeCursor(req.query.cursor)
+        : { s: 0, o: 0 };
+
+      // Walk the requested states in order; the cursor records which state and
+      // offset to resume from, so task filtering never skips or repeats jobs.
+      const jobs = [];
+      let { s: stateIndex, o: offset } = position;
+      while (jobs.length < limit && stateIndex < states.length) {
+        const state = states[stateIndex];
+        const page = await jobQueue.getJobs(
+          [state],
+          offset,
+          offset + limit - 1
+        );
+        for (const job of page) {
+          offset += 1;
+          if (job && (!task || job.data?.task === task)) {
+            jobs.push(serialiseJob(job, state));
+            if (jobs.length === limit) break;
+          }
+        }
+        if (page.length < limit && jobs.length < limit) {
+          stateIndex += 1;
+          offset = 0;
+        }
+      }
+
+      res.json({
+        jobs,
+        nextCursor:
+          stateIndex < states.length
+            ? encodeCursor({ s: stateIndex, o: offset })
+            : null,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.post(
+  "/jobs/:id/retry",
+  injectRouteFaults,
+  validateRequest(requestSchemas.jobById),
+  async (req, res, next) => {
+    try {
+      const job = await getJobOr404(req.params.id);
+      const state = await job.getState();
+      if (state !== "failed") {
+        throw new ConflictError(
+          `Only failed jobs can be retried (job is ${state})`,
+          { code: "job_not_retryable" }
+        );
+      }
+      await runJobAction("retried", job, async () => {
+        await job.retry("failed");
+        await deadLetterQueue.remove(job.id);
+      });
+      req.log.info({ jobId: job.id }, "Job retried");
+      res.status(202).json({ jobId: job.id, state: "retried" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.post(
+  "/jobs/:id/promote",
+  injectRouteFaults,
+  validateRequest(requestSchemas.jobById),
+  async (req, res, next) => {
+    try {
+      const job = await getJobOr404(req.params.id);
+      const state = await job.getState();
+      if (state !== "delayed") {
+        throw new ConflictError(
+          `Only delayed jobs can be promoted (job is ${state})`,
+          { code: "job_not_promotable" }
+        );
+      }
+      await runJobAction("promoted", job, () => job.promote());
+      req.log.info({ jobId: job.id }, "Job promoted");
+      res.json({ jobId: job.id, state: "promoted" });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.delete(
+  "/jobs/:id",
+  injectRouteFaults,
+  validateRequest(requestSchemas.jobById),
+  async (req, res, next) => {
+    try {
+      const job = await getJobOr404(req.params.id);
+      const state = await job.getState();
+      if (state === "active") {
+        throw new ConflictError("Active jobs cannot be removed", {
+          code: "job_active",
+        });
+      }
+      await runJobAction("removed", job, () => job.remove());
+      req.log.info({ jobId: job.id, previousState: state }, "Job removed");
+      res.json({ jobId: job.id, state: "removed", previousState: state });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.get(
+  "/queue",
+  injectRouteFaults,
+  validateRequest(requestSchemas.noInputs),
+  async (req, res, next) => {
+    try {
+      const [paused, counts] = await Promise.all([
+        jobQueue.isPaused(),
+        jobQueue.getJobCounts(...JOB_LIST_STATES),
+      ]);
+      res.json({ name: queueName, paused, counts });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.post(
+  "/queue/pause",
+  injectRouteFaults,
+  validateRequest(requestSchemas.noInputsWithBody),
+  async (req, res, next) => {
+    try {
+      await runJobAction("paused", null, () => jobQueue.pause());
+      req.log.info({ queue: queueName }, "Queue paused");
+      res.json({ name: queueName, paused: true });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.post(
+  "/queue/resume",
+  injectRouteFaults,
+  validateRequest(requestSchemas.noInputsWithBody),
+  async (req, res, next) => {
+    try {
+      await runJobAction("resumed", null, () => jobQueue.resume());
+      req.log.info({ queue: queueName }, "Queue resumed");
+      res.json({ name: queueName, paused: false });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.get(
+  "/jobs/:id",
+  injectRouteFaults,
+  validateRequest(requestSchemas.jobById),
+  async (req, res, next) => {
+    try {
+      const job = await jobQueue.getJob(req.params.id);
+      if (!job) {
+        throw new NotFoundError("Job not found", { code: "job_not_found" });
+      }
+
+      const state = await job.getState();
+      const logs = await mongoDb
+        .collection("job_events")
+        .find({ jobId: job.id })
+        .sort({ createdAt: -1 })
+        .limit(5)
+        .toArray();
+
+      res.json({
+        jobId: job.id,
+        name: job.name,
+        state,
+        attemptsMade: job.attemptsMade,
+        data: job.data,
+        logs,
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.get(
+  "/admin/faults",
+  validateRequest(requestSchemas.noInputs),
+  (req, res) => {
+    res.json({
+      rules: activeFaultRules().map(serialiseFaultRule),
+      memoryBallastMb: [...memoryBallast].reduce(
+        (total, ballast) => total + ballast.length / 1024 / 1024,
+        0
+      ),
+    });
+  }
+);
+
+app.put(
+  "/admin/faults",
+  validateRequest(requestSchemas.replaceFaults),
+  (req, res, next) => {
+    try {
+      faultRules = parseFaultRules(req.body);
+      req.log.warn(
+        { rules: faultRules.map(serialiseFaultRule) },
+        "Fault rules replaced"
+      );
+      res.json({ rules: faultRules.map(serialiseFaultRule) });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// Client for the upstream behind GET /external: every attempt is bounded by
+// DEMO_EXTERNAL_TIMEOUT_MS, network errors / timeouts / 5xx / 429 are retried
+// with full-jitter exponential backoff, and a circuit breaker stops calling an
+// upstream after DEMO_EXTERNAL_BREAKER_THRESHOLD failed calls in a row. After
+// DEMO_EXTERNAL_BREAKER_RESET_MS one trial call is let through (half-open).
+const CIRCUIT_STATES = ["closed", "open", "half_open"];
+
+function createCircuitBreaker(upstream) {
+  const breaker = {
+    upstream,
+    state: "closed",
+    failures: 0,
+    openedAt: 0,
+    trialInFlight: false,
+  };
+  setCircuitState(breaker, "closed");
+  return breaker;
+}
+
+function setCircuitState(breaker, state) {
+  if (breaker.state !== state) {
+    baseLogger.warn(
+      { upstream: breaker.upstream, from: breaker.state, to: state },
+      "Upstream circuit state changed"
+    );
+  }
+  breaker.state = state;
+  for (const candidate of CIRCUIT_STATES) {
+    upstreamCircuitGauge.set(
+      { upstream: breaker.upstream, state: candidate },
+      candidate === state ? 1 : 0
+    );
+  }
+}
+
+function acquireCircuit(breaker) {
+  if (
+    breaker.state === "open" &&
+    Date.now() - breaker.openedAt >= externalBreakerResetMs
+  ) {
+    setCircuitState(breaker, "half_open");
+  }
+  if (breaker.state === "open") {
+    return false;
+  }
+  if (breaker.state === "half_open") {
+    if (breaker.trialInFlight) {
+      return false;
+    }
+    breaker.trialInFlight = true;
+  }
+  return true;
+}
+
+function releaseCircuit(breaker, succeeded) {
+  breaker.trialInFlight = false;
+  if (succeeded) {
+    breaker.failures = 0;
+    setCircuitState(breaker, "closed");
+    return;
+  }
+  breaker.failures += 1;
+  if (
+    breaker.state === "half_open" ||
+    breaker.failures >= externalBreakerThreshold
+  ) {
+    breaker.openedAt = Date.now();
+    setCircuitState(breaker, "open");
+  }
+}
+
+function isRetryable(error) {
+  return (
+    !error.upstreamStatus ||
+    error.upstreamStatus >= 500 ||
+    error.upstreamStatus === 429
+  );
+}
+
+async function attemptUpstream(upstream, url) {
+  const started = process.hrtime.bigint();
+  let outcome = "success";
+  try {
+    const response = await fetch(url, {
+      signal: AbortSignal.timeout(externalTimeoutMs),
+      headers: { accept: "application/json" },
+    });
+    if (!response.ok) {
+      outcome = "http_error";
+      const error = new UpstreamError(`Upstream responded ${response.status}`, {
+        code: "upstream_bad_status",
+      });
+      error.upstreamStatus = response.status;
+      throw error;
+    }
+    const text = await response.text();
+    try {
+      return { status: response.status, data: JSON.parse(text) };
+    } catch (err) {
+      return { status: response.status, data: text };
+    }
+  } catch (err) {
+    if (err.name === "TimeoutError") {
+      outcome = "timeout";
+      throw new UpstreamError(
+        `Upstream timed out after ${externalTimeoutMs} ms`,
+        { status: 504, code: "upstream_timeout" }
+      );
+    }
+    if (outcome === "success") {
+      outcome = "network_error";
+      throw new UpstreamError(
+        `Upstream unreachable: ${err.cause?.code || err.message}`,
+        { code: "upstream_unreachable", cause: err }
+      );
+    }
+    throw err;
+  } finally {
+    const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+    upstreamLatencyHistogram.observe({ upstream, outcome }, seconds);
+  }
+}
+
+async function callUpstream(breaker, url) {
+  const { upstream } = breaker;
+  return tracer.startActiveSpan(
+    "upstream.call",
+    {
+      kind: SpanKind.CLIENT,
+      attributes: { "demo.upstream.name": upstream, "url.full": url },
+    },
+    async (span) => {
+      const started = Date.now();
+      let attempts = 0;
+      try {
+        if (!acquireCircuit(breaker)) {
+          upstreamCallCounter.inc({ upstream, outcome: "rejected" });
+          throw new UpstreamError("Upstream circuit is open", {
+            status: 503,
+            code: "circuit_open",
+            details: [
+              `${upstream} failed ${breaker.failures} call(s) in a row; retrying after ${externalBreakerResetMs} ms`,
+            ],
+          });
+        }
+        span.setAttribute("demo.upstream.circuit_state", breaker.state);
+        for (;;) {
+          attempts += 1;
+          try {
+            const result = await attemptUpstream(upstream, url);
+            releaseCircuit(breaker, true);
+            upstreamCallCounter.inc({ upstream, outcome: "success" });
+            span.setAttribute("http.response.status_code", result.status);
+            span.setStatus({ code: SpanStatusCode.OK });
+            return result;
+          } catch (err) {
+            if (attempts > externalRetries || !isRetryable(err)) {
+              releaseCircuit(breaker, false);
+              upstreamCallCounter.inc({ upstream, outcome: "failure" });
+              throw err;
+            }
+            upstreamRetryCounter.inc({ upstream });
+            const backoffMs =
+              Math.random() * externalRetryBaseMs * 2 ** (attempts - 1);
+            span.addEvent("upstream.retry", {
+              "demo.upstream.attempt": attempts,
+              "demo.upstream.error": err.message,
+              "demo.upstream.backoff_ms": Math.round(backoffMs),
+            });
+            await sleep(backoffMs);
+          }
+        }
+      } catch (err) {
+        span.recordException(err);
+        span.setStatus({ code: SpanStatusCode.ERROR, message: err.message });
+        throw err;
+      } finally {
+        span.setAttribute("demo.upstream.attempts", attempts);
+        span.setAttribute("demo.upstream.retries", Math.max(0, attempts - 1));
+        span.setAttribute("demo.upstream.latency_ms", Date.now() - started);
+        span.setAttribute("demo.upstream.circuit_state_after", breaker.state);
+        span.end();
+      }
+    }
+  );
+}
+
+const externalUpstream = new URL(externalUrl).host;
+const externalBreaker = createCircuitBreaker(externalUpstream);
+
+app.get(
+  "/external",
+  injectRouteFaults,
+  validateRequest(requestSchemas.noInputs),
+  async (req, res, next) => {
+    try {
+      const { data } = await callUpstream(externalBreaker, externalUrl);
+      res.json({ upstream: externalUpstream, data });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+app.get(
+  "/error",
+  injectRouteFaults,
+  validateRequest(requestSchemas.noInputs),
+  async (req, res, next) => {
+    next(
+      new AppError("Intentional demo failure", {
+        status: 503,
+        code: "intentional_failure",
+      })
+    );
+  }
+);
+
+// The worker counts as stalled when jobs are waiting but none has started or
+// finished for DEMO_WORKER_STALL_AFTER_MS; an idle worker on an empty queue is
+// fine.
+async function checkWorker() {
+  if (!jobWorker?.isRunning()) {
+    throw new Error("Worker is not running");
+  }
+  const waiting = queueDepth.get(queueName)?.counts.waiting ?? 0;
+  const idleMs = Date.now() - lastJobActivityAt;
+  if (waiting > 0 && idleMs > workerStallAfterMs) {
+    throw new Error(
+      `Worker stalled: ${waiting} job(s) waiting, idle ${idleMs}ms`
+    );
+  }
+  return { idleMs, waiting };
+}
+
+const dependencyChecks = {
+  mongo: () => mongoDb.command({ ping: 1 }).then(() => undefined),
+  redis: () => cacheRedis.ping().then(() => undefined),
+  worker: checkWorker,
+};
+
+// Runs every dependency check in parallel, each bounded by
+// DEMO_HEALTH_CHECK_TIMEOUT_MS, and records the outcome in demo_dependency_up
+// and demo_dependency_check_latency_seconds.
+async function checkDependencies() {
+  const entries = await Promise.all(
+    Object.entries(dependencyChecks).map(async ([dependency, check]) => {
+      const started = Date.now();
+      let result;
+      try {
+        const details = await beforeDeadline(
+          Promise.resolve().then(check),
+          started + healthCheckTimeoutMs,
+          `${dependency} health check`
+        );
+        result = { status: "up", ...(details ? { details } : {}) };
+      } catch (err) {
+        result = { status: "down", error: err.message };
+      }
+      result.latencyMs = Date.now() - started;
+      dependencyUpGauge.set({ dependency }, result.status === "up" ? 1 : 0);
+      dependencyLatencyGauge.set({ dependency }, result.latencyMs / 1000);
+      return [dependency, result];
+    })
+  );
+  const checks = Object.fromEntries(entries);
+  return {
+    healthy: entries.every(([, result]) => result.status === "up"),
+    checks,
+  };
+}
+
+app.get("/livez", (req, res) => {
+  res.json({ status: "ok", uptimeSeconds: Math.round(process.uptime()) });
+});
+
+app.get("/readyz", async (req, res) => {
+  if (draining) {
+    res.status(503).json({ status: "draining" });
+    return;
+  }
+  const { healthy, checks } = await checkDependencies();
+  res.status(healthy ? 200 : 503).json({
+    status: healthy ? "ready" : "not_ready",
+    checks: Object.fromEntries(
+      Object.entries(checks).map(([name, result]) => [name, result.status])
+    ),
+  });
+});
+
+app.get("/healthz", async (req, res) => {
+  const { healthy, checks } = await checkDependencies();
+  const status = draining ? "draining" : healthy ? "ok" : "degraded";
+  res.status(status === "ok" ? 200 : 503).json({
+    status,
+    timeoutMs: healthCheckTimeoutMs,
+    checks,
+  });
+});
+
+// prom-client renders a registry in one format at a time and strips "_total"
+// from counter names in place while rendering OpenMetrics, so renders are
+// serialised and the names restored for the next Prometheus-format scrape.
+let metricsRender = Promise.resolve();
+
+function renderMetrics(contentType) {
+  const render = metricsRender.then(async () => {
+    const counterNames = promRegistry
+      .getMetricsAsArray()
+      .filter((metric) => metric.type === "counter")
+      .map((metric) => [metric, metric.name]);
+    promRegistry.setContentType(contentType);
+    try {
+      return await promRegistry.metrics();
+    } finally {
+      promRegistry.setContentType(client.Registry.OPENMETRICS_CONTENT_TYPE);
+      counterNames.forEach(([metric, name]) => {
+        metric.name = name;
+      });
+    }
+  });
+  metricsRender = render.catch(() => {});
+  return render;
+}
+
+// Exemplars are only part of the OpenMetrics exposition, which Prometheus
+// lists in its Accept header; other clients keep the text format. The header
+// carries version/escaping parameters req.accepts() would not match.
+app.get("/metrics", async (req, res, next) => {
+  try {
+    const openMetrics = (req.get("Accept") ?? "").includes(
+      "application/openmetrics-text"
+    );
+    const contentType = openMetrics
+      ? client.Registry.OPENMETRICS_CONTENT_TYPE
+      : client.Registry.PROMETHEUS_CONTENT_TYPE;
+    const body = await renderMetrics(contentType);
+    res.set("Content-Type", contentType);
+    res.end(body);
+  } catch (error) {
+    next(error);
+  }
+});
+
+app.use((req, res, next) => {
+  next(
+    new NotFoundError(`No route for ${req.method} ${req.path}`, {
+      code: "route_not_found",
+    })
+  );
+});
+
+// Only connectivity failures mean MongoDB is unavailable (and worth retrying);
+// server errors such as a duplicate key are about the request or the data.
+const MONGO_UNAVAILABLE_ERROR_NAMES = [
+  "MongoNetworkError",
+  "MongoNetworkTimeoutError",
+  "MongoServerSelectionError",
+];
+const MONGO_DUPLICATE_KEY_CODES = [11000, 11001];
+const MONGO_DOCUMENT_VALIDATION_CODE = 121;
+
+const REDIS_ERROR_NAMES = [
+  "ReplyError",
+  "ParserError",
+  "MaxRetriesPerRequestError",
+];
+
+// Maps errors that were not thrown as an AppError (body parser, drivers,
+// bugs) onto one, without exposing internal messages to the client.
+function toAppError(err) {
+  if (err instanceof AppError) {
+    return err;
+  }
+  if (err.type === "entity.parse.failed") {
+    return new ValidationError("Request body is not valid JSON", {
+      code: "malformed_json",
+    });
+  }
+  if (err.type === "entity.too.large") {
+    return new ValidationError(`Request body exceeds ${jsonBodyLimit}`, {
+      status: 413,
+      code: "payload_too_large",
+    });
+  }
+  if (err.expose && err.status >= 400 && err.status < 500) {
+    return new AppError(err.message, {
+      status: err.status,
+      code: "bad_request",
+    });
+  }
+  if (MONGO_UNAVAILABLE_ERROR_NAMES.includes(err.name)) {
+    return new DependencyError("mongo", "MongoDB is unavailable", {
+      cause: err,
+    });
+  }
+  if (MONGO_DUPLICATE_KEY_CODES.includes(err.code)) {
+    return new ConflictError("A record with the same key already exists", {
+      code: "duplicate_key",
+      cause: err,
+    });
+  }
+  if (err.code === MONGO_DOCUMENT_VALIDATION_CODE) {
+    return new ValidationError("The document failed database validation", {
+      code: "document_validation_failed",
+      cause: err,
+    });
+  }
+  if (REDIS_ERROR_NAMES.includes(err.name)) {
+    return new DependencyError("redis", "Redis is unavailable", { cause: err });
+  }
+  return new AppError("An unexpected error occurred", { cause: err });
+}
+
+// Every error is answered as RFC 7807 application/problem+json with the trace
+// ID of the request, so a client report can be looked up in Tempo.
+app.use((err, req, res, _next) => {
+  const error = toAppError(err);
+  const route = resolveRouteLabel(req);
+  const span = trace.getActiveSpan();
+  const traceId = span?.spanContext().traceId;
+  if (error.status >= 500) {
+    req.log.error({ err, code: error.code }, "Request failed");
+    span?.recordException(err);
+    span?.setStatus({ code: SpanStatusCode.ERROR, message: error.code });
+  } else {
+    req.log.warn({ err, code: error.code }, "Request rejected");
+  }
+  errorCounter.add(1, { scope: "http", route, code: error.code });
+  httpErrorCounter.inc({ route, code: error.code, status: error.status });
+  if (error instanceof ValidationError) {
+    error.reasons.forEach((reason) =>
+      rejectedRequestCounter.inc({ route, reason })
+    );
+  }
+  res
+    .status(error.status)
+    .type("application/problem+json")
+    .json({
+      type: `urn:demo-app:problem:${error.code}`,
+      title: http.STATUS_CODES[error.status],
+      status: error.status,
+      detail: error.message,
+      instance: req.originalUrl,
+      code: error.code,
+      ...(traceId ? { traceId } : {}),
+      ...(error.details ? { details: error.details } : {}),
+    });
+});
+
+process.on("unhandledRejection", (reason, promise) => {
+  baseLogger.error({ reason, promise }, "Unhandled promise rejection");
+  errorCounter.add(1, { scope: "process", type: "unhandledRejection" });
+});
+
+process.on("uncaughtException", (err) => {
+  baseLogger.fatal({ err }, "Uncaught exception");
+  errorCounter.add(1, { scope: "process", type: "uncaughtException" });
+});
+
+// The heartbeat is a BullMQ repeatable job: Redis keeps the schedule, so it
+// survives restarts and replicas registering the same schedule share one entry.
+async function scheduleHeartbeat() {
+  const repeatable = await jobQueue.getRepeatableJobs();
+  await Promise.all(
+    repeatable
+      .filter(
+        (job) => job.name === "heartbeat" && Number(job.every) !== jobIntervalMs
+      )
+      .map((job) => jobQueue.removeRepeatableByKey(job.key))
+  );
+  await jobQueue.add(
+    "heartbeat",
+    { task: "heartbeat" },
+    {
+      jobId: "heartbeat",
+      repeat: { every: jobIntervalMs },
+      removeOnComplete: false,
+      attempts: 1,
+    }
+  );
+}
+
+async function start() {
+  try {
+    await initialiseDataStores();
+
+    await scheduleHeartbeat();
+
+    await refreshQueueDepth();
+    setInterval(refreshQueueDepth, queueMetricsIntervalMs).unref();
+
+    // Keep demo_dependency_up current for alerting between health requests.
+    await checkDependencies();
+    setInterval(checkDependencies, healthCheckIntervalMs).unref();
+
+    setInterval(() => {
+      baseLogger.info(
+        {
+          memory: process.memoryUsage(),
+          loadAvg: os.loadavg(),
+        },
+        "process heartbeat"
+      );
+    }, 15000).unref();
+
+    httpServer = app.listen(PORT, () => {
+      baseLogger.info({ port: PORT }, "Demo service listening");
+    });
+  } catch (error) {
+    baseLogger.fatal({ error }, "Failed to start demo service");
+    process.exit(1);
+  }
+}
+
+start();
+
+async function runShutdownPhase(phase, fn) {
+  const started = Date.now();
+  try {
+    await fn();
+    baseLogger.info(
+      { phase, durationMs: Date.now() - started },
+      "Shutdown phase complete"
+    );
+    return true;
+  } catch (err) {
+    baseLogger.error(
+      { phase, durationMs: Date.now() - started, err },
+      "Shutdown phase failed"
+    );
+    return false;
+  }
+}
+
+// Ordered shutdown: stop taking traffic, let in-flight requests and active jobs
+// finish until DEMO_SHUTDOWN_TIMEOUT_MS, close the data stores, then flush
+// telemetry last so the shutdown itself is exported.
+let shuttingDown = false;
+
+async function shutdown(signal) {
+  if (shuttingDown) {
+    baseLogger.warn({ signal }, "Shutdown already in progress");
+    return;
+  }
+  shuttingDown = true;
+  draining = true;
+  const started = Date.now();
+  const deadline = started + shutdownTimeoutMs;
+  baseLogger.info(
+    { signal, timeoutMs: shutdownTimeoutMs },
+    "Shutting down demo service"
+  );
+
+  const results = [];
+  const phase = async (name, fn) =>
+    results.push(await runShutdownPhase(name, fn));
+
+  await phase("http.stop_accepting", async () => {
+    httpServer?.close();
+    httpServer?.closeIdleConnections?.();
+  });
+  await phase("http.drain", async () => {
+    while (inFlightRequests > 0) {
+      if (Date.now() >= deadline) {
+        throw new Error(`${inFlightRequests} request(s) still in flight`);
+      }
+      await sleep(50);
+    }
+  });
+  await phase("worker.drain", async () => {
+    if (!jobWorker) {
+      return;
+    }
+    try {
+      await beforeDeadline(jobWorker.close(), deadline, "active jobs");
+    } catch (err) {
+      await jobWorker.close(true);
+      throw err;
+    }
+  });
+  await phase("queue.close", () =>
+    Promise.all([jobQueue?.close(), deadLetterQueue?.close()])
+  );
+  await phase("redis.close", () => redis?.quit());
+  await phase("mongo.close", () => mongoClient?.close());
+  await phase("telemetry.flush", () => {
+    const telemetry = preloadedTelemetry();
+    return (
+      telemetry &&
+      beforeDeadline(
+        telemetry.shutdownTelemetry(),
+        Math.max(deadline, Date.now() + 5000),
+        "telemetry flush"
+      )
+    );
+  });
+
+  const clean = results.every(Boolean);
+  baseLogger.info(
+    { signal, durationMs: Date.now() - started, clean },
+    "Demo service stopped"
+  );
+  process.exit(clean ? 0 : 1);
+}
+
+process.on("SIGTERM", () => shutdown("SIGTERM"));
+process.on("SIGINT", () => shutdown("SIGINT"));
@@ -1,38 +1,142 @@
 'use strict';
 
+const fs = require('fs');
 const express = require('express');
 const pino = require('pino');
 const { MongoClient } = require('mongodb');
 const client = require('prom-client');
 
-const MONGO_URL = process.env.MONGO_URL || 'mongodb://mongo:27017';
+// Docker secrets style: `<NAME>_FILE` points at a file whose trimmed contents win over `<NAME>`.
+const readSetting = (name) => {
+  const file = process.env[`${name}_FILE`];
+  if (file) return fs.readFileSync(file, 'utf8').trim();
+  return process.env[name];
+};
+
+const MONGO_TARGETS = (readSetting('MONGO_TARGETS') || readSetting('MONGO_URL') || 'mongodb://mongo:27017')
+  .split(/[\s,]+/)
+  .filter(Boolean);
+const MONGO_USERNAME = readSetting('MONGO_USERNAME');
+const MONGO_PASSWORD = readSetting('MONGO_PASSWORD');
+const MONGO_AUTH_SOURCE = process.env.MONGO_AUTH_SOURCE;
+const MONGO_AUTH_MECHANISM = process.env.MONGO_AUTH_MECHANISM;
+const MONGO_TLS = (process.env.MONGO_TLS || 'false').toLowerCase() === 'true';
+const MONGO_TLS_CA_FILE = process.env.MONGO_TLS_CA_FILE;
+const MONGO_TLS_CERT_KEY_FILE = process.env.MONGO_TLS_CERT_KEY_FILE;
+const MONGO_TLS_CERT_KEY_PASSWORD = readSetting('MONGO_TLS_CERT_KEY_PASSWORD');
+const MONGO_TLS_ALLOW_INVALID_HOSTNAMES = (process.env.MONGO_TLS_ALLOW_INVALID_HOSTNAMES || 'false').toLowerCase() === 'true';
+const PROBE_DYNAMIC_TARGETS = (process.env.MONGO_PROBE_DYNAMIC_TARGETS || 'false').toLowerCase() === 'true';
+const PROBE_IDLE_TIMEOUT_MS = Number(process.env.MONGO_PROBE_IDLE_TIMEOUT_MS || 600000);
 const SCRAPE_INTERVAL_MS = Number(process.env.MONGO_SCRAPE_INTERVAL_MS || 5000);
 const PORT = Number(process.env.PORT || 9216);
 const LOG_LEVEL = process.env.LOG_LEVEL || 'info';
+const STORAGE_STATS_ENABLED = (process.env.MONGO_STORAGE_STATS || 'true').toLowerCase() === 'true';
+const STORAGE_STATS_INTERVAL_MS = Number(process.env.MONGO_STORAGE_STATS_INTERVAL_MS || 60000);
+const STORAGE_STATS_INCLUDE = process.env.MONGO_STORAGE_STATS_INCLUDE || '*';
+const STORAGE_STATS_EXCLUDE = process.env.MONGO_STORAGE_STATS_EXCLUDE || 'admin,config,local,*.system.*';
+const STORAGE_STATS_MAX_COLLECTIONS = Number(process.env.MONGO_STORAGE_STATS_MAX_COLLECTIONS || 500);
+const INDEX_STATS_INCLUDE = process.env.MONGO_INDEX_STATS_INCLUDE || '';
+const INDEX_STATS_EXCLUDE = process.env.MONGO_INDEX_STATS_EXCLUDE || 'admin,config,local,*.system.*';
+const INDEX_STATS_INTERVAL_MS = Number(process.env.MONGO_INDEX_STATS_INTERVAL_MS || 60000);
+const TOP_STATS_ENABLED = (process.env.MONGO_TOP_STATS || 'false').toLowerCase() === 'true';
+const TOP_STATS_INCLUDE = process.env.MONGO_TOP_STATS_INCLUDE || '*';
+const TOP_STATS_EXCLUDE = process.env.MONGO_TOP_STATS_EXCLUDE || 'admin,config,local,*.system.*';
+const CURRENT_OP_ENABLED = (process.env.MONGO_CURRENT_OP || 'false').toLowerCase() === 'true';
+const PROFILE_STATS_ENABLED = (process.env.MONGO_PROFILE_STATS || 'false').toLowerCase() === 'true';
+const PROFILE_STATS_INCLUDE = process.env.MONGO_PROFILE_STATS_INCLUDE || '*';
+const PROFILE_STATS_EXCLUDE = process.env.MONGO_PROFILE_STATS_EXCLUDE || 'admin,config,local';
+const PROFILE_STATS_BATCH_SIZE = Number(process.env.MONGO_PROFILE_STATS_BATCH_SIZE || 1000);
+const SLOW_OPS_TOP_N = Number(process.env.MONGO_SLOW_OPS_TOP_N || 20);
+const SLOW_OPS_WINDOW_MS = Number(process.env.MONGO_SLOW_OPS_WINDOW_MS || 900000);
+const COLLECTION_MODE = (process.env.MONGO_COLLECTION_MODE || 'interval').toLowerCase();
+const MIN_CACHE_AGE_MS = Number(process.env.MONGO_MIN_CACHE_AGE_MS || 1000);
+const SCRAPE_TIMEOUT_MS = Number(process.env.MONGO_SCRAPE_TIMEOUT_MS || 10000);
+const STALE_AFTER_MS = Number(process.env.MONGO_STALE_AFTER_MS || SCRAPE_INTERVAL_MS * 3);
+
+const SECRETS = [MONGO_PASSWORD, MONGO_TLS_CERT_KEY_PASSWORD].filter(Boolean);
 
-const logger = pino({ level: LOG_LEVEL });
+// Scrubs credentials from anything that would be written, including driver errors that echo the connection string.
+const redact = (text) => SECRETS.reduce(
+  (result, secret) => result.split(secret).join('[REDACTED]').split(JSON.stringify(secret).slice(1, -1)).join('[REDACTED]'),
+  text.replace(/(mongodb(?:\+srv)?:\/\/)[^@/\s"]+@/g, '$1[REDACTED]@'),
+);
+
+const logger = pino({ level: LOG_LEVEL }, { write: (line) => process.stdout.write(redact(line)) });
 
 const registry = new client.Registry();
 client.collectDefaultMetrics({ register: registry, prefix: 'mongo_exporter_' });
 
-const mongoUp = new client.Gauge({ name: 'mongodb_up', help: 'MongoDB availability (1 = up)', registers: [registry] });
-const mongoUptime = new client.Gauge({ name: 'mongodb_instance_uptime_seconds', help: 'MongoDB uptime', registers: [registry] });
-const mongoConnections = new client.Gauge({ name: 'mongodb_connections', help: 'MongoDB connections by state', labelNames: ['state'], registers: [registry] });
-const mongoMemory = new client.Gauge({ name: 'mongodb_memory', help: 'MongoDB memory usage bytes', labelNames: ['type'], registers: [registry] });
-const opCounters = new client.Counter({ name: 'mongodb_op_counters_total', help: 'MongoDB opcounters', labelNames: ['type'], registers: [registry] });
-const opCountersRepl = new client.Counter({ name: 'mongodb_op_counters_repl_total', help: 'MongoDB opcounters replication', labelNames: ['type'], registers: [registry] });
-const documentMetrics = new client.Counter({ name: 'mongodb_metrics_document_total', help: 'MongoDB document metrics', labelNames: ['type'], registers: [registry] });
-const queryExecutorMetrics = new client.Counter({ name: 'mongodb_metrics_query_executor_total', help: 'MongoDB query executor metrics', labelNames: ['type'], registers: [registry] });
-const operationMetrics = new client.Counter({ name: 'mongodb_metrics_operation_total', help: 'MongoDB operation metrics', labelNames: ['type'], registers: [registry] });
-const locksTime = new client.Counter({ name: 'mongodb_locks_time_acquiring_global_microseconds_total', help: 'Time acquiring global locks', labelNames: ['type'], registers: [registry] });
-const networkBytes = new client.Counter({ name: 'mongodb_network_bytes_total', help: 'MongoDB network bytes', labelNames: ['direction'], registers: [registry] });
-const replMembers = new client.Gauge({ name: 'mongodb_replset_number_of_members', help: 'Replica set members', registers: [registry] });
-const replHealth = new client.Gauge({ name: 'mongodb_replset_member_health', help: 'Replica set member health', labelNames: ['member'], registers: [registry] });
-const replState = new client.Gauge({ name: 'mongodb_replset_member_state', help: 'Replica set member state', labelNames: ['state', 'name'], registers: [registry] });
-const replOplogSize = new client.Gauge({ name: 'mongodb_replset_oplog_size_bytes', help: 'Replica set oplog size bytes', labelNames: ['type'], registers: [registry] });
-const replOplogHead = new client.Gauge({ name: 'mongodb_replset_oplog_head_timestamp', help: 'Replica set oplog head timestamp seconds', registers: [registry] });
-
-const snapshots = {
+const createTargetMetrics = (targetRegistry, collectorStatus) => ({
+  mongoUp: new client.Gauge({ name: 'mongodb_up', help: 'MongoDB availability (1 = up)', registers: [targetRegistry] }),
+  mongoUptime: new client.Gauge({ name: 'mongodb_instance_uptime_seconds', help: 'MongoDB uptime', registers: [targetRegistry] }),
+  mongoConnections: new client.Gauge({ name: 'mongodb_connections', help: 'MongoDB connections by state', labelNames: ['state'], registers: [targetRegistry] }),
+  mongoMemory: new client.Gauge({ name: 'mongodb_memory', help: 'MongoDB memory usage bytes', labelNames: ['type'], registers: [targetRegistry] }),
+  opCounters: new client.Counter({ name: 'mongodb_op_counters_total', help: 'MongoDB opcounters', labelNames: ['type'], registers: [targetRegistry] }),
+  opCountersRepl: new client.Counter({ name: 'mongodb_op_counters_repl_total', help: 'MongoDB opcounters replication', labelNames: ['type'], registers: [targetRegistry] }),
+  documentMetrics: new client.Counter({ name: 'mongodb_metrics_document_total', help: 'MongoDB document metrics', labelNames: ['type'], registers: [targetRegistry] }),
+  queryExecutorMetrics: new client.Counter({ name: 'mongodb_metrics_query_executor_total', help: 'MongoDB query executor metrics', labelNames: ['type'], registers: [targetRegistry] }),
+  operationMetrics: new client.Counter({ name: 'mongodb_metrics_operation_total', help: 'MongoDB operation metrics', labelNames: ['type'], registers: [targetRegistry] }),
+  locksTime: new client.Counter({ name: 'mongodb_locks_time_acquiring_global_microseconds_total', help: 'Time acquiring global locks', labelNames: ['type'], registers: [targetRegistry] }),
+  networkBytes: new client.Counter({ name: 'mongodb_network_bytes_total', help: 'MongoDB network bytes', labelNames: ['direction'], registers: [targetRegistry] }),
+  replMembers: new client.Gauge({ name: 'mongodb_replset_number_of_members', help: 'Replica set members', registers: [targetRegistry] }),
+  replHealth: new client.Gauge({ name: 'mongodb_replset_member_health', help: 'Replica set member health', labelNames: ['member'], registers: [targetRegistry] }),
+  replState: new client.Gauge({ name: 'mongodb_replset_member_state', help: 'Replica set member state', labelNames: ['state', 'name'], registers: [targetRegistry] }),
+  replOplogSize: new client.Gauge({ name: 'mongodb_replset_oplog_size_bytes', help: 'Replica set oplog size bytes', labelNames: ['type'], registers: [targetRegistry] }),
+  replOplogHead: new client.Gauge({ name: 'mongodb_replset_oplog_head_timestamp', help: 'Replica set oplog head timestamp seconds', registers: [targetRegistry] }),
+  replOplogTail: new client.Gauge({ name: 'mongodb_replset_oplog_tail_timestamp', help: 'Timestamp of the oldest oplog entry in seconds', labelNames: ['set'], registers: [targetRegistry] }),
+  replOplogWindow: new client.Gauge({ name: 'mongodb_replset_oplog_window_seconds', help: 'Time between the oldest and newest oplog entries', labelNames: ['set'], registers: [targetRegistry] }),
+  replLag: new client.Gauge({ name: 'mongodb_replset_member_replication_lag_seconds', help: 'Member optime lag behind the primary', labelNames: ['set', 'member'], registers: [targetRegistry] }),
+  replTerm: new client.Gauge({ name: 'mongodb_replset_term', help: 'Current replica set election term', labelNames: ['set'], registers: [targetRegistry] }),
+  replElection: new client.Gauge({ name: 'mongodb_replset_last_election_timestamp', help: 'Time the current primary was elected in seconds', labelNames: ['set'], registers: [targetRegistry] }),
+  replStandalone: new client.Gauge({ name: 'mongodb_replset_standalone', help: 'Whether the target runs without replication (1 = standalone)', registers: [targetRegistry] }),
+  wtCacheBytes: new client.Gauge({ name: 'mongodb_wiredtiger_cache_bytes', help: 'WiredTiger cache bytes by type', labelNames: ['type'], registers: [targetRegistry] }),
+  wtCachePages: new client.Counter({ name: 'mongodb_wiredtiger_cache_pages_total', help: 'WiredTiger pages read into and written from the cache', labelNames: ['type'], registers: [targetRegistry] }),
+  wtCacheEvicted: new client.Counter({ name: 'mongodb_wiredtiger_cache_evicted_pages_total', help: 'WiredTiger pages evicted from the cache', labelNames: ['type'], registers: [targetRegistry] }),
+  wtCheckpoints: new client.Counter({ name: 'mongodb_wiredtiger_checkpoints_total', help: 'WiredTiger checkpoints completed', labelNames: ['type'], registers: [targetRegistry] }),
+  wtCheckpointDuration: new client.Gauge({ name: 'mongodb_wiredtiger_checkpoint_duration_seconds', help: 'WiredTiger checkpoint duration', labelNames: ['type'], registers: [targetRegistry] }),
+  wtCheckpointRunning: new client.Gauge({ name: 'mongodb_wiredtiger_checkpoint_running', help: 'Whether a WiredTiger checkpoint is in progress', registers: [targetRegistry] }),
+  wtTickets: new client.Gauge({ name: 'mongodb_wiredtiger_concurrent_transactions', help: 'Read/write tickets by state', labelNames: ['type', 'state'], registers: [targetRegistry] }),
+  dbDataSize: new client.Gauge({ name: 'mongodb_db_data_size_bytes', help: 'Uncompressed data size per database', labelNames: ['db'], registers: [targetRegistry] }),
+  dbStorageSize: new client.Gauge({ name: 'mongodb_db_storage_size_bytes', help: 'Storage allocated per database', labelNames: ['db'], registers: [targetRegistry] }),
+  dbIndexSize: new client.Gauge({ name: 'mongodb_db_index_size_bytes', help: 'Index size per database', labelNames: ['db'], registers: [targetRegistry] }),
+  dbObjects: new client.Gauge({ name: 'mongodb_db_documents', help: 'Document count per database', labelNames: ['db'], registers: [targetRegistry] }),
+  dbAvgObjSize: new client.Gauge({ name: 'mongodb_db_avg_obj_size_bytes', help: 'Average document size per database', labelNames: ['db'], registers: [targetRegistry] }),
+  dbCollections: new client.Gauge({ name: 'mongodb_db_collections', help: 'Collection count per database', labelNames: ['db'], registers: [targetRegistry] }),
+  collSize: new client.Gauge({ name: 'mongodb_collection_size_bytes', help: 'Uncompressed data size per collection', labelNames: ['db', 'collection'], registers: [targetRegistry] }),
+  collStorageSize: new client.Gauge({ name: 'mongodb_collection_storage_size_bytes', help: 'Storage allocated per collection', labelNames: ['db', 'collection'], registers: [targetRegistry] }),
+  collIndexSize: new client.Gauge({ name: 'mongodb_collection_index_size_bytes', help: 'Total index size per collection', labelNames: ['db', 'collection'], registers: [targetRegistry] }),
+  collDocuments: new client.Gauge({ name: 'mongodb_collection_documents', help: 'Document count per collection', labelNames: ['db', 'collection'], registers: [targetRegistry] }),
+  collAvgObjSize: new client.Gauge({ name: 'mongodb_collection_avg_obj_size_bytes', help: 'Average document size per collection', labelNames: ['db', 'collection'], registers: [targetRegistry] }),
+  indexAccesses: new client.Counter({ name: 'mongodb_index_accesses_total', help: 'Index accesses reported by $indexStats', labelNames: ['db', 'collection', 'index'], registers: [targetRegistry] }),
+  indexAccessesSince: new client.Gauge({ name: 'mongodb_index_accesses_since_timestamp', help: 'When $indexStats started counting accesses for the index, in seconds', labelNames: ['db', 'collection', 'index'], registers: [targetRegistry] }),
+  indexSize: new client.Gauge({ name: 'mongodb_index_size_bytes', help: 'Index size on disk', labelNames: ['db', 'collection', 'index'], registers: [targetRegistry] }),
+  topTime: new client.Counter({ name: 'mongodb_top_time_seconds_total', help: 'Time spent per namespace from the top command', labelNames: ['ns', 'type'], registers: [targetRegistry] }),
+  topCount: new client.Counter({ name: 'mongodb_top_operations_total', help: 'Operations per namespace from the top command', labelNames: ['ns', 'type'], registers: [targetRegistry] }),
+  currentOpActive: new client.Gauge({ name: 'mongodb_current_op_active', help: 'Active operations from $currentOp', labelNames: ['op', 'ns', 'waiting_for_lock'], registers: [targetRegistry] }),
+  currentOpMaxAge: new client.Gauge({ name: 'mongodb_current_op_max_age_seconds', help: 'Age of the oldest active operation from $currentOp', labelNames: ['op', 'ns', 'waiting_for_lock'], registers: [targetRegistry] }),
+  profileDuration: new client.Histogram({ name: 'mongodb_profile_operation_duration_seconds', help: 'Duration of operations recorded in system.profile', labelNames: ['ns', 'op'], buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60], registers: [targetRegistry] }),
+  profileLevel: new client.Gauge({ name: 'mongodb_profile_level', help: 'Database profiler level (0 = off, 1 = slow ops, 2 = all)', labelNames: ['db'], registers: [targetRegistry] }),
+  collectorDuration: new client.Gauge({ name: 'mongo_exporter_collector_duration_seconds', help: 'Duration of the last run of each collector', labelNames: ['collector'], registers: [targetRegistry] }),
+  collectorSuccess: new client.Gauge({ name: 'mongo_exporter_collector_success', help: 'Whether the last run of each collector succeeded', labelNames: ['collector'], registers: [targetRegistry] }),
+  collectorLastSuccess: new client.Gauge({ name: 'mongo_exporter_collector_last_success_timestamp_seconds', help: 'Time of the last successful run of each collector', labelNames: ['collector'], registers: [targetRegistry] }),
+  collectorErrors: new client.Counter({ name: 'mongo_exporter_collector_errors_total', help: 'Collector failures by error class', labelNames: ['collector', 'error'], registers: [targetRegistry] }),
+  collectorDataAge: new client.Gauge({
+    name: 'mongo_exporter_collector_data_age_seconds',
+    help: 'Age of the values last produced by each collector',
+    labelNames: ['collector'],
+    registers: [targetRegistry],
+    collect() {
+      const now = Date.now();
+      collectorStatus.forEach((status, collector) => {
+        if (status.lastSuccess) this.set({ collector }, (now - status.lastSuccess) / 1000);
+      });
+    },
+  }),
+  scrapeTimeouts: new client.Counter({ name: 'mongo_exporter_scrape_timeouts_total', help: 'Scrapes answered with partial results because collection exceeded MONGO_SCRAPE_TIMEOUT_MS', registers: [targetRegistry] }),
+  collSkipped: new client.Gauge({ name: 'mongodb_collection_stats_skipped', help: 'Collections matched by the storage filters but skipped by MONGO_STORAGE_STATS_MAX_COLLECTIONS', registers: [targetRegistry] }),
+});
+
+const createSnapshots = () => ({
   opcounters: {},
   opcountersRepl: {},
   metricsDocument: {},
@@ -40,7 +144,14 @@ const snapshots = {
   metricsOperation: {},
   locks: {},
   network: {},
-};
+  wtCachePages: {},
+  wtCacheEvicted: {},
+  wtCheckpoints: {},
+  top: {},
+});
+
+// Returned by collectors that are disabled or not yet due, so their freshness bookkeeping is left untouched.
+const SKIPPED = Symbol('skipped');
 
 const toNumber = (value) => {
   if (value == null) return undefined;
@@ -56,120 +167,763 @@ const toNumber = (value) => {
   return Number.isNaN(parsed) ? undefined : parsed;
 };
 
-const updateCounters = (current = {}, store, counter, label) => {
+const updateCounters = (current = {}, store, counter, label, extraLabels = {}) => {
   Object.entries(current).forEach(([key, raw]) => {
     const currentValue = toNumber(raw);
     if (!Number.isFinite(currentValue)) return;
     const previous = store[key];
     if (Number.isFinite(previous) && currentValue >= previous) {
-      counter.inc({ [label]: key }, currentValue - previous);
+      counter.inc({ ...extraLabels, [label]: key }, currentValue - previous);
     }
     store[key] = currentValue;
   });
 };
 
-const setMemoryMetrics = (mem = {}) => {
+const globToRegExp = (glob) => new RegExp(`^${glob.split('*').map((part) => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*')}$`);
+
+// Patterns are comma separated `db` or `db.collection` globs; a bare `db` matches every collection in it.
+const compileNamespacePatterns = (raw = '') => raw
+  .split(',')
+  .map((pattern) => pattern.trim())
+  .filter(Boolean)
+  .map((pattern) => {
+    const dot = pattern.indexOf('.');
+    const collectionGlob = dot === -1 ? '*' : pattern.slice(dot + 1);
+    return {
+      db: globToRegExp(dot === -1 ? pattern : pattern.slice(0, dot)),
+      collection: globToRegExp(collectionGlob),
+      wholeDb: collectionGlob === '*',
+    };
+  });
+
+const createNamespaceFilter = (include, exclude) => {
+  const includes = compileNamespacePatterns(include);
+  const excludes = compileNamespacePatterns(exclude);
+  const matches = (patterns, db, collection) => patterns.some((p) => p.db.test(db) && p.collection.test(collection));
+  return {
+    database: (db) => (includes.length === 0 || includes.some((p) => p.db.test(db)))
+      && !excludes.some((p) => p.wholeDb && p.db.test(db)),
+    collection: (db, collection) => (includes.length === 0 || matches(includes, db, collection))
+      && !matches(excludes, db, collection),
+  };
+};
+
+const storageFilter = createNamespaceFilter(STORAGE_STATS_INCLUDE, STORAGE_STATS_EXCLUDE);
+const indexStatsFilter = createNamespaceFilter(INDEX_STATS_INCLUDE, INDEX_STATS_EXCLUDE);
+const topFilter = createNamespaceFilter(TOP_STATS_INCLUDE, TOP_STATS_EXCLUDE);
+const profileFilter = createNamespaceFilter(PROFILE_STATS_INCLUDE, PROFILE_STATS_EXCLUDE);
+
+const setMemoryMetrics = ({ metrics }, mem = {}) => {
   const resident = toNumber(mem.resident);
   const virtual = toNumber(mem.virtual);
-  if (Number.isFinite(resident)) mongoMemory.set({ type: 'resident' }, resident * 1024 * 1024);
-  if (Number.isFinite(virtual)) mongoMemory.set({ type: 'virtual' }, virtual * 1024 * 1024);
+  if (Number.isFinite(resident)) metrics.mongoMemory.set({ type: 'resident' }, resident * 1024 * 1024);
+  if (Number.isFinite(virtual)) metrics.mongoMemory.set({ type: 'virtual' }, virtual * 1024 * 1024);
 };
 
-const setConnections = (connections = {}) => {
+const setConnections = ({ metrics }, connections = {}) => {
   const current = toNumber(connections.current);
   const available = toNumber(connections.available);
-  if (Number.isFinite(current)) mongoConnections.set({ state: 'current' }, current);
-  if (Number.isFinite(available)) mongoConnections.set({ state: 'available' }, available);
+  if (Number.isFinite(current)) metrics.mongoConnections.set({ state: 'current' }, current);
+  if (Number.isFinite(available)) metrics.mongoConnections.set({ state: 'available' }, available);
 };
 
-let mongoClient;
-let adminDb;
-let intervalHandle;
+const setWiredTigerMetrics = ({ metrics, snapshots }, status = {}) => {
+  const wt = status.wiredTiger;
+  if (!wt) return;
+  const cache = wt.cache ?? {};
+  const setCacheBytes = (type, raw) => {
+    const value = toNumber(raw);
+    if (Number.isFinite(value)) metrics.wtCacheBytes.set({ type }, value);
+  };
+  setCacheBytes('total', cache['bytes currently in the cache']);
+  setCacheBytes('dirty', cache['tracked dirty bytes in the cache']);
+  setCacheBytes('max', cache['maximum bytes configured']);
+  updateCounters({
+    read: cache['pages read into cache'],
+    written: cache['pages written from cache'],
+  }, snapshots.wtCachePages, metrics.wtCachePages, 'type');
+  updateCounters({
+    modified: cache['modified pages evicted'],
+    unmodified: cache['unmodified pages evicted'],
+    application: cache['pages evicted by application threads'],
+  }, snapshots.wtCacheEvicted, metrics.wtCacheEvicted, 'type');
+
+  const txn = wt.transaction ?? {};
+  updateCounters({ completed: txn['transaction checkpoints'] }, snapshots.wtCheckpoints, metrics.wtCheckpoints, 'type');
+  const lastMs = toNumber(txn['transaction checkpoint most recent time (msecs)']);
+  const maxMs = toNumber(txn['transaction checkpoint max time (msecs)']);
+  const running = toNumber(txn['transaction checkpoint currently running']);
+  if (Number.isFinite(lastMs)) metrics.wtCheckpointDuration.set({ type: 'last' }, lastMs / 1000);
+  if (Number.isFinite(maxMs)) metrics.wtCheckpointDuration.set({ type: 'max' }, maxMs / 1000);
+  if (Number.isFinite(running)) metrics.wtCheckpointRunning.set(running);
+
+  // MongoDB 7.0 moved ticket accounting from wiredTiger.concurrentTransactions to queues.execution.
+  const tickets = status.queues?.execution ?? wt.concurrentTransactions ?? {};
+  ['read', 'write'].forEach((type) => {
+    ['out', 'available', 'totalTickets'].forEach((field) => {
+      const value = toNumber(tickets[type]?.[field]);
+      if (Number.isFinite(value)) metrics.wtTickets.set({ type, state: field === 'totalTickets' ? 'total' : field }, value);
+    });
+  });
+};
+
+// Oplog timestamps are BSON Timestamps whose high 32 bits are seconds since the epoch.
+const timestampSeconds = (ts) => (ts && typeof ts.getHighBits === 'function' ? ts.getHighBits() : undefined);
+
+const collectOplogMetrics = async ({ metrics, mongoClient }, set) => {
+  const oplog = mongoClient.db('local').collection('oplog.rs');
+  const [first] = await oplog.find({}, { projection: { ts: 1 } }).sort({ $natural: 1 }).limit(1).toArray();
+  const [last] = await oplog.find({}, { projection: { ts: 1 } }).sort({ $natural: -1 }).limit(1).toArray();
+  const tail = timestampSeconds(first?.ts);
+  const head = timestampSeconds(last?.ts);
+  if (Number.isFinite(tail)) metrics.replOplogTail.set({ set }, tail);
+  if (Number.isFinite(tail) && Number.isFinite(head)) metrics.replOplogWindow.set({ set }, head - tail);
+
+  const [stats] = await oplog.aggregate([{ $collStats: { storageStats: {} } }]).toArray();
+  const used = toNumber(stats?.storageStats?.size);
+  const allocated = toNumber(stats?.storageStats?.maxSize);
+  if (Number.isFinite(used)) metrics.replOplogSize.set({ type: 'used' }, used);
+  if (Number.isFinite(allocated)) metrics.replOplogSize.set({ type: 'allocated' }, allocated);
+};
+
+const collectReplicaMetrics = async (target) => {
+  const { metrics, adminDb } = target;
+  const { replMembers, replHealth, replState, replOplogHead, replLag, replTerm, replElection, replStandalone } = metrics;
+  let status;
+  try {
+    status = await adminDb.command({ replSetGetStatus: 1 });
+  } catch (error) {
+    // NoReplicationEnabled: report standalone explicitly rather than inventing a healthy member.
+    if (error?.code !== 76) throw error;
+    replStandalone.set(1);
+    replMembers.set(0);
+    [replHealth, replState, replLag, replTerm, replElection].forEach((gauge) => gauge.reset());
+    return;
+  }
+
+  const set = status.set || 'unknown';
+  const members = status.members ?? [];
+  replStandalone.set(0);
+  replMembers.set(members.length);
+  [replHealth, replState, replLag].forEach((gauge) => gauge.reset());
+  const primary = members.find((m) => m.stateStr === 'PRIMARY');
+  members.forEach((member) => {
+    const name = member.name || 'member';
+    const stateStr = member.stateStr || String(member.state);
+    const health = toNumber(member.health);
+    const state = toNumber(member.state);
+    if (Number.isFinite(health)) replHealth.set({ member: name }, health);
+    if (Number.isFinite(state)) replState.set({ state: stateStr, name }, state);
+    if (primary?.optimeDate instanceof Date && member.optimeDate instanceof Date && member.stateStr !== 'ARBITER') {
+      replLag.set({ set, member: name }, Math.max(0, (primary.optimeDate.getTime() - member.optimeDate.getTime()) / 1000));
+    }
+  });
+  if (primary?.optimeDate instanceof Date) {
+    replOplogHead.set(primary.optimeDate.getTime() / 1000);
+  }
+  if (primary?.electionDate instanceof Date) {
+    replElection.set({ set }, primary.electionDate.getTime() / 1000);
+  }
+  const term = toNumber(status.term);
+  if (Number.isFinite(term)) replTerm.set({ set }, term);
 
-const collectReplicaMetrics = async () => {
   try {
-    const status = await adminDb.command({ replSetGetStatus: 1 });
-    const members = status.members ?? [];
-    replMembers.set(members.length);
-    members.forEach((member) => {
-      const name = member.name || 'member';
-      const stateStr = member.stateStr || String(member.state);
-      const health = toNumber(member.health);
-      const state = toNumber(member.state);
-      if (Number.isFinite(health)) replHealth.set({ member: name }, health);
-      if (Number.isFinite(state)) replState.set({ state: stateStr, name }, state);
+    await collectOplogMetrics(target, set);
+  } catch (error) {
+    logger.warn({ err: error, target: target.name }, 'Failed to read oplog metrics');
+  }
+};
+
+const readCollectionStats = async (db, name) => {
+  const shards = await db.collection(name).aggregate([{ $collStats: { storageStats: {} } }]).toArray();
+  const totals = { size: 0, storageSize: 0, totalIndexSize: 0, count: 0 };
+  shards.forEach(({ storageStats = {} }) => {
+    Object.keys(totals).forEach((key) => {
+      const value = toNumber(storageStats[key]);
+      if (Number.isFinite(value)) totals[key] += value;
     });
-    const primary = members.find((m) => m.stateStr === 'PRIMARY') || members[0];
-    if (primary?.optimeDate instanceof Date) {
-      replOplogHead.set(primary.optimeDate.getTime() / 1000);
+  });
+  totals.avgObjSize = totals.count > 0 ? totals.size / totals.count : 0;
+  return totals;
+};
+
+const collectStorageMetrics = async (target) => {
+  if (!STORAGE_STATS_ENABLED || Date.now() - target.lastStorageCollection < STORAGE_STATS_INTERVAL_MS) return SKIPPED;
+  target.lastStorageCollection = Date.now();
+
+  const { metrics, mongoClient, adminDb } = target;
+  const { databases = [] } = await adminDb.command({ listDatabases: 1, nameOnly: true });
+  const dbSamples = [];
+  const collSamples = [];
+  let skipped = 0;
+
+  for (const { name: dbName } of databases) {
+    if (!storageFilter.database(dbName)) continue;
+    const db = mongoClient.db(dbName);
+    try {
+      dbSamples.push({ db: dbName, stats: await db.command({ dbStats: 1 }) });
+      const collections = await db.listCollections({ type: 'collection' }, { nameOnly: true }).toArray();
+      for (const { name } of collections) {
+        if (!storageFilter.collection(dbName, name)) continue;
+        if (collSamples.length >= STORAGE_STATS_MAX_COLLECTIONS) {
+          skipped += 1;
+          continue;
+        }
+        try {
+          collSamples.push({ labels: { db: dbName, collection: name }, stats: await readCollectionStats(db, name) });
+        } catch (error) {
+          logger.warn({ err: error, target: target.name, db: dbName, collection: name }, 'Failed to read collection stats');
+        }
+      }
+    } catch (error) {
+      logger.warn({ err: error, target: target.name, db: dbName }, 'Failed to read database stats');
     }
-    if (status?.storageEngine?.oplogSizeMB) {
-      const oplogBytes = toNumber(status.storageEngine.oplogSizeMB) * 1024 * 1024;
-      if (Number.isFinite(oplogBytes)) replOplogSize.set({ type: 'allocated' }, oplogBytes);
+  }
+
+  // Reset before setting so dropped databases and collections stop being exported.
+  const { dbDataSize, dbStorageSize, dbIndexSize, dbObjects, dbAvgObjSize, dbCollections } = metrics;
+  const { collSize, collStorageSize, collIndexSize, collDocuments, collAvgObjSize, collSkipped } = metrics;
+  [dbDataSize, dbStorageSize, dbIndexSize, dbObjects, dbAvgObjSize, dbCollections].forEach((gauge) => gauge.reset());
+  [collSize, collStorageSize, collIndexSize, collDocuments, collAvgObjSize].forEach((gauge) => gauge.reset());
+
+  dbSamples.forEach(({ db, stats }) => {
+    const set = (gauge, value) => {
+      const parsed = toNumber(value);
+      if (Number.isFinite(parsed)) gauge.set({ db }, parsed);
+    };
+    set(dbDataSize, stats.dataSize);
+    set(dbStorageSize, stats.storageSize);
+    set(dbIndexSize, stats.indexSize);
+    set(dbObjects, stats.objects);
+    set(dbAvgObjSize, stats.avgObjSize);
+    set(dbCollections, stats.collections);
+  });
+  collSamples.forEach(({ labels, stats }) => {
+    collSize.set(labels, stats.size);
+    collStorageSize.set(labels, stats.storageSize);
+    collIndexSize.set(labels, stats.totalIndexSize);
+    collDocuments.set(labels, stats.count);
+    collAvgObjSize.set(labels, stats.avgObjSize);
+  });
+  collSkipped.set(skipped);
+  if (skipped > 0) {
+    logger.warn({ target: target.name, skipped, limit: STORAGE_STATS_MAX_COLLECTIONS }, 'Collection stats limit reached; narrow MONGO_STORAGE_STATS_INCLUDE/EXCLUDE');
+  }
+};
+
+// $indexStats counters restart from zero whenever mongod restarts or the index is rebuilt; `since` changes when
+// that happens, so the whole new value is counted instead of being dropped like a plain decrease would be.
+const updateIndexAccesses = (target, labels, ops, since) => {
+  const key = `${labels.db}.${labels.collection}/${labels.index}`;
+  const previous = target.indexSnapshots.get(key);
+  const sinceMs = since instanceof Date ? since.getTime() : undefined;
+  if (previous) {
+    const reset = previous.since !== sinceMs || ops < previous.ops;
+    const delta = reset ? ops : ops - previous.ops;
+    if (delta > 0) target.metrics.indexAccesses.inc(labels, delta);
+  } else {
+    target.metrics.indexAccesses.inc(labels, 0);
+  }
+  target.indexSnapshots.set(key, { ops, since: sinceMs, labels });
+};
+
+const collectIndexStats = async (target) => {
+  if (!INDEX_STATS_INCLUDE || Date.now() - target.lastIndexCollection < INDEX_STATS_INTERVAL_MS) return SKIPPED;
+  target.lastIndexCollection = Date.now();
+
+  const { metrics, mongoClient, adminDb } = target;
+  const { databases = [] } = await adminDb.command({ listDatabases: 1, nameOnly: true });
+  const seen = new Set();
+  const sizes = [];
+
+  for (const { name: dbName } of databases) {
+    if (!indexStatsFilter.database(dbName)) continue;
+    const db = mongoClient.db(dbName);
+    const collections = await db.listCollections({ type: 'collection' }, { nameOnly: true }).toArray();
+    for (const { name } of collections) {
+      if (!indexStatsFilter.collection(dbName, name)) continue;
+      try {
+        const coll = db.collection(name);
+        const stats = await coll.aggregate([{ $indexStats: {} }]).toArray();
+        stats.forEach((index) => {
+          const labels = { db: dbName, collection: name, index: index.name };
+          const ops = toNumber(index.accesses?.ops) ?? 0;
+          updateIndexAccesses(target, labels, ops, index.accesses?.since);
+          if (index.accesses?.since instanceof Date) metrics.indexAccessesSince.set(labels, index.accesses.since.getTime() / 1000);
+          seen.add(`${dbName}.${name}/${index.name}`);
+        });
+        const [collStats] = await coll.aggregate([{ $collStats: { storageStats: {} } }]).toArray();
+        Object.entries(collStats?.storageStats?.indexSizes ?? {}).forEach(([index, size]) => {
+          sizes.push({ labels: { db: dbName, collection: name, index }, size: toNumber(size) });
+        });
+      } catch (error) {
+        logger.warn({ err: error, target: target.name, db: dbName, collection: name }, 'Failed to read index stats');
+      }
     }
+  }
+
+  // Dropped indexes (or collections that stopped matching the filters) are removed from the exported series.
+  target.indexSnapshots.forEach(({ labels }, key) => {
+    if (seen.has(key)) return;
+    target.indexSnapshots.delete(key);
+    metrics.indexAccesses.remove(labels);
+    metrics.indexAccessesSince.remove(labels);
+  });
+  metrics.indexSize.reset();
+  sizes.forEach(({ labels, size }) => {
+    if (Number.isFinite(size)) metrics.indexSize.set(labels, size);
+  });
+};
+
+const TOP_FIELDS = {
+  total: 'total',
+  readLock: 'read',
+  writeLock: 'write',
+  commands: 'command',
+  queries: 'query',
+  getmore: 'getmore',
+  insert: 'insert',
+  update: 'update',
+  remove: 'remove',
+};
+
+const collectTopMetrics = async ({ metrics, adminDb, snapshots }) => {
+  if (!TOP_STATS_ENABLED) return SKIPPED;
+  const { totals = {} } = await adminDb.command({ top: 1 });
+  const seen = new Set();
+
+  Object.entries(totals).forEach(([ns, usage]) => {
+    if (ns === 'note' || typeof usage !== 'object') return;
+    const [db, collection = ''] = ns.split(/\.(.*)/);
+    if (!topFilter.collection(db, collection)) return;
+    seen.add(ns);
+    const store = snapshots.top[ns] ?? { time: {}, count: {} };
+    snapshots.top[ns] = store;
+    const times = {};
+    const counts = {};
+    Object.entries(TOP_FIELDS).forEach(([field, type]) => {
+      const time = toNumber(usage[field]?.time);
+      if (Number.isFinite(time)) times[type] = time / 1e6;
+      counts[type] = usage[field]?.count;
+    });
+    updateCounters(times, store.time, metrics.topTime, 'type', { ns });
+    updateCounters(counts, store.count, metrics.topCount, 'type', { ns });
+  });
+
+  Object.keys(snapshots.top).forEach((ns) => {
+    if (seen.has(ns)) return;
+    delete snapshots.top[ns];
+    Object.values(TOP_FIELDS).forEach((type) => {
+      metrics.topTime.remove({ ns, type });
+      metrics.topCount.remove({ ns, type });
+    });
+  });
+};
+
+const collectCurrentOpMetrics = async ({ metrics, adminDb }) => {
+  if (!CURRENT_OP_ENABLED) return [];
+  const ops = await adminDb.aggregate([
+    { $currentOp: { allUsers: true, idleConnections: false } },
+    { $match: { active: true } },
+  ]).toArray();
+
+  const groups = new Map();
+  const operations = [];
+  ops.forEach((op) => {
+    // Skip the $currentOp aggregation issued by this exporter.
+    if (op.command?.pipeline?.[0]?.$currentOp) return;
+    const labels = { op: op.op || 'none', ns: op.ns || 'none', waiting_for_lock: op.waitingForLock ? 'true' : 'false' };
+    const ageSeconds = (toNumber(op.microsecs_running) ?? 0) / 1e6;
+    const key = `${labels.op}|${labels.ns}|${labels.waiting_for_lock}`;
+    const group = groups.get(key) ?? { labels, count: 0, maxAge: 0 };
+    group.count += 1;
+    group.maxAge = Math.max(group.maxAge, ageSeconds);
+    groups.set(key, group);
+    operations.push({
+      source: 'currentOp',
+      op: labels.op,
+      ns: labels.ns,
+      durationMs: ageSeconds * 1000,
+      startedAt: op.currentOpTime ? new Date(op.currentOpTime).toISOString() : undefined,
+      waitingForLock: Boolean(op.waitingForLock),
+      planSummary: op.planSummary,
+      client: op.client,
+      appName: op.appName,
+      opid: op.opid,
+    });
+  });
+
+  metrics.currentOpActive.reset();
+  metrics.currentOpMaxAge.reset();
+  groups.forEach(({ labels, count, maxAge }) => {
+    metrics.currentOpActive.set(labels, count);
+    metrics.currentOpMaxAge.set(labels, maxAge);
+  });
+  return operations;
+};
+
+const collectProfileMetrics = async (target) => {
+  if (!PROFILE_STATS_ENABLED) return [];
+  const { metrics, mongoClient, adminDb, profileCursors } = target;
+  const { databases = [] } = await adminDb.command({ listDatabases: 1, nameOnly: true });
+  const operations = [];
+
+  metrics.profileLevel.reset();
+  for (const { name: dbName } of databases) {
+    if (!profileFilter.database(dbName)) continue;
+    const db = mongoClient.db(dbName);
+    const { was: level } = await db.command({ profile: -1 });
+    metrics.profileLevel.set({ db: dbName }, toNumber(level) ?? 0);
+    if (!level) continue;
+
+    const since = profileCursors.get(dbName);
+    const entries = await db.collection('system.profile')
+      .find(since ? { ts: { $gt: since } } : {}, { projection: { ts: 1, ns: 1, op: 1, millis: 1, planSummary: 1, client: 1, appName: 1 } })
+      .sort({ ts: since ? 1 : -1 })
+      .limit(since ? PROFILE_STATS_BATCH_SIZE : 1)
+      .toArray();
+    // The first pass only records where the profile ends so existing history is not replayed.
+    if (!since) {
+      profileCursors.set(dbName, entries[0]?.ts ?? new Date());
+      continue;
+    }
+    entries.forEach((entry) => {
+      const [, collection = ''] = String(entry.ns ?? '').split(/\.(.*)/);
+      if (!profileFilter.collection(dbName, collection)) return;
+      const millis = toNumber(entry.millis) ?? 0;
+      metrics.profileDuration.observe({ ns: entry.ns || 'none', op: entry.op || 'none' }, millis / 1000);
+      operations.push({
+        source: 'profile',
+        op: entry.op || 'none',
+        ns: entry.ns || 'none',
+        durationMs: millis,
+        startedAt: entry.ts instanceof Date ? entry.ts.toISOString() : undefined,
+        planSummary: entry.planSummary,
+        client: entry.client,
+        appName: entry.appName,
+      });
+    });
+    if (entries.length > 0) profileCursors.set(dbName, entries[entries.length - 1].ts);
+  }
+  return operations;
+};
+
+const bySlowest = (a, b) => b.durationMs - a.durationMs;
+
+// Keeps the slowest recent profiled operations plus the latest $currentOp sample for /slow-operations.
+const collectOperationInsights = async (target) => {
+  if (!CURRENT_OP_ENABLED && !PROFILE_STATS_ENABLED) return SKIPPED;
+  const active = await collectCurrentOpMetrics(target);
+  const profiled = await collectProfileMetrics(target);
+  const cutoff = Date.now() - SLOW_OPS_WINDOW_MS;
+  target.slowOperations = {
+    active: active.sort(bySlowest).slice(0, SLOW_OPS_TOP_N),
+    profiled: [...target.slowOperations.profiled, ...profiled]
+      .filter((op) => !op.startedAt || Date.parse(op.startedAt) >= cutoff)
+      .sort(bySlowest)
+      .slice(0, SLOW_OPS_TOP_N),
+  };
+};
+
+const collectServerStatus = async (target) => {
+  const { metrics, snapshots } = target;
+  const status = await target.adminDb.command({ serverStatus: 1 });
+  metrics.mongoUp.set(1);
+  target.up = true;
+  const uptime = toNumber(status.uptime);
+  if (Number.isFinite(uptime)) metrics.mongoUptime.set(uptime);
+  setMemoryMetrics(target, status.mem);
+  setConnections(target, status.connections);
+  updateCounters(status.opcounters, snapshots.opcounters, metrics.opCounters, 'type');
+  updateCounters(status.opcountersRepl, snapshots.opcountersRepl, metrics.opCountersRepl, 'type');
+  updateCounters(status.metrics?.document, snapshots.metricsDocument, metrics.documentMetrics, 'type');
+  updateCounters(status.metrics?.queryExecutor, snapshots.metricsQuery, metrics.queryExecutorMetrics, 'type');
+  updateCounters(status.metrics?.operation, snapshots.metricsOperation, metrics.operationMetrics, 'type');
+  updateCounters(status.locks?.Global?.timeAcquiringMicros, snapshots.locks, metrics.locksTime, 'type');
+  updateCounters({ bytesIn: status.network?.bytesIn, bytesOut: status.network?.bytesOut }, snapshots.network, metrics.networkBytes, 'direction');
+  setWiredTigerMetrics(target, status);
+};
+
+const optionalCollectors = [
+  ['replSetGetStatus', collectReplicaMetrics],
+  ['storageStats', collectStorageMetrics],
+  ['indexStats', collectIndexStats],
+  ['top', collectTopMetrics],
+  ['operations', collectOperationInsights],
+];
+
+const COLLECTOR_INTERVALS = {
+  storageStats: STORAGE_STATS_INTERVAL_MS,
+  indexStats: INDEX_STATS_INTERVAL_MS,
+};
+
+const errorClass = (error) => error?.codeName || error?.name || 'Error';
+
+const runCollector = async (target, collector, collect) => {
+  const { metrics, collectorStatus } = target;
+  const started = process.hrtime.bigint();
+  try {
+    if (await collect(target) === SKIPPED) return true;
+    const status = collectorStatus.get(collector) ?? { since: Date.now() };
+    collectorStatus.set(collector, { ...status, ok: true, lastSuccess: Date.now(), lastError: undefined });
+    metrics.collectorSuccess.set({ collector }, 1);
+    metrics.collectorLastSuccess.set({ collector }, Date.now() / 1000);
+    return true;
   } catch (error) {
-    replMembers.set(1);
-    replHealth.set({ member: 'standalone' }, 1);
-    replState.set({ state: 'standalone', name: 'standalone' }, 1);
-    replOplogHead.set(0);
-    replOplogSize.set({ type: 'allocated' }, 0);
+    const status = collectorStatus.get(collector) ?? { since: Date.now() };
+    collectorStatus.set(collector, { ...status, ok: false, lastError: `${errorClass(error)}: ${redact(error.message)}` });
+    metrics.collectorSuccess.set({ collector }, 0);
+    metrics.collectorErrors.inc({ collector, error: errorClass(error) });
+    const level = collector === 'connect' || collector === 'serverStatus' ? 'error' : 'warn';
+    logger[level]({ err: error, target: target.name, collector }, 'MongoDB collector failed');
+    return false;
+  } finally {
+    metrics.collectorDuration.set({ collector }, Number(process.hrtime.bigint() - started) / 1e9);
   }
 };
 
-const collectOnce = async () => {
+// Unlabelled gauges export 0 until set, which would read as a real standalone server with no uptime. The ones that
+// describe the server stay absent until it has been read, and are dropped again whenever it cannot be.
+const SERVER_GAUGES = ['mongoUptime', 'replMembers', 'replOplogHead', 'replStandalone', 'wtCheckpointRunning'];
+const clearServerGauges = (metrics) => SERVER_GAUGES.forEach((key) => metrics[key].remove());
+
+const collectOnce = async (target) => {
+  const ready = await runCollector(target, 'connect', connectTarget) && await runCollector(target, 'serverStatus', collectServerStatus);
+  if (!ready) {
+    target.metrics.mongoUp.set(0);
+    clearServerGauges(target.metrics);
+    target.up = false;
+    return;
+  }
+  for (const [collector, collect] of optionalCollectors) {
+    await runCollector(target, collector, collect);
+  }
+};
+
+// A collector is stale once it has gone a full interval plus MONGO_STALE_AFTER_MS without succeeding. Targets collected
+// on demand (scrape mode, dynamic probes) only run when scraped, so their age is taken at the end of the last collection
+// rather than now: a slow Prometheus scrape interval is not staleness, failing across scrapes is.
+const collectorReport = (target) => {
+  const now = Date.now();
+  const reference = COLLECTION_MODE === 'scrape' || target.dynamic ? target.lastCollected : now;
+  return [...target.collectorStatus.entries()].map(([collector, status]) => {
+    const interval = COLLECTOR_INTERVALS[collector] ?? SCRAPE_INTERVAL_MS;
+    const since = status.lastSuccess ?? status.since;
+    const age = now - since;
+    return {
+      collector,
+      ok: status.ok,
+      stale: reference - since > interval + STALE_AFTER_MS,
+      lastSuccess: status.lastSuccess ? new Date(status.lastSuccess).toISOString() : null,
+      ageSeconds: status.lastSuccess ? age / 1000 : null,
+      lastError: status.lastError,
+    };
+  });
+};
+
+// Accepts either a full connection string or a bare `host:port` (as sent by Prometheus relabelling to /probe).
+const normaliseTargetUri = (value) => (/^mongodb(\+srv)?:\/\//.test(value) ? value : `mongodb://${value}`);
+
+const targetName = (uri) => uri.match(/^mongodb(?:\+srv)?:\/\/(?:[^@/]*@)?([^/?]+)/)?.[1] ?? uri;
+
+const createTarget = (uri, { dynamic = false } = {}) => {
+  const targetRegistry = new client.Registry();
+  const name = targetName(uri);
+  targetRegistry.setDefaultLabels({ target: name });
+  const collectorStatus = new Map();
+  const metrics = createTargetMetrics(targetRegistry, collectorStatus);
+  clearServerGauges(metrics);
+  return {
+    name,
+    uri,
+    dynamic,
+    registry: targetRegistry,
+    metrics,
+    collectorStatus,
+    snapshots: createSnapshots(),
+    mongoClient: undefined,
+    adminDb: undefined,
+    up: false,
+    lastStorageCollection: 0,
+    lastIndexCollection: 0,
+    indexSnapshots: new Map(),
+    profileCursors: new Map(),
+    slowOperations: { active: [], profiled: [] },
+    lastProbe: Date.now(),
+    lastCollected: 0,
+    inFlight: undefined,
+  };
+};
+
+const targets = new Map(MONGO_TARGETS.map((value) => {
+  const target = createTarget(normaliseTargetUri(value));
+  return [target.name, target];
+}));
+
+const clientOptions = {
+  directConnection: true,
+  serverSelectionTimeoutMS: 5000,
+  ...(MONGO_USERNAME ? { auth: { username: MONGO_USERNAME, password: MONGO_PASSWORD } } : {}),
+  ...(MONGO_AUTH_SOURCE ? { authSource: MONGO_AUTH_SOURCE } : {}),
+  ...(MONGO_AUTH_MECHANISM ? { authMechanism: MONGO_AUTH_MECHANISM } : {}),
+  ...(MONGO_TLS || MONGO_TLS_CA_FILE || MONGO_TLS_CERT_KEY_FILE ? { tls: true } : {}),
+  ...(MONGO_TLS_CA_FILE ? { tlsCAFile: MONGO_TLS_CA_FILE } : {}),
+  ...(MONGO_TLS_CERT_KEY_FILE ? { tlsCertificateKeyFile: MONGO_TLS_CERT_KEY_FILE } : {}),
+  ...(MONGO_TLS_CERT_KEY_PASSWORD ? { tlsCertificateKeyFilePassword: MONGO_TLS_CERT_KEY_PASSWORD } : {}),
+  ...(MONGO_TLS_ALLOW_INVALID_HOSTNAMES ? { tlsAllowInvalidHostnames: true } : {}),
+};
+
+// Dynamic probe targets are arbitrary hosts named by the caller, so they never receive the configured credentials or
+// client certificate; targets that need them belong in MONGO_TARGETS.
+const CREDENTIAL_OPTIONS = ['auth', 'authSource', 'authMechanism', 'tlsCertificateKeyFile', 'tlsCertificateKeyFilePassword'];
+const dynamicClientOptions = Object.fromEntries(Object.entries(clientOptions).filter(([key]) => !CREDENTIAL_OPTIONS.includes(key)));
+
+const connectTarget = async (target) => {
+  if (target.mongoClient) return;
+  const mongoClient = new MongoClient(target.uri, target.dynamic ? dynamicClientOptions : clientOptions);
   try {
-    const status = await adminDb.command({ serverStatus: 1 });
-    mongoUp.set(1);
-    const uptime = toNumber(status.uptime);
-    if (Number.isFinite(uptime)) mongoUptime.set(uptime);
-    setMemoryMetrics(status.mem);
-    setConnections(status.connections);
-    updateCounters(status.opcounters, snapshots.opcounters, opCounters, 'type');
-    updateCounters(status.opcountersRepl, snapshots.opcountersRepl, opCountersRepl, 'type');
-    updateCounters(status.metrics?.document, snapshots.metricsDocument, documentMetrics, 'type');
-    updateCounters(status.metrics?.queryExecutor, snapshots.metricsQuery, queryExecutorMetrics, 'type');
-    updateCounters(status.metrics?.operation, snapshots.metricsOperation, operationMetrics, 'type');
-    updateCounters(status.locks?.Global?.timeAcquiringMicros, snapshots.locks, locksTime, 'type');
-    updateCounters({ bytesIn: status.network?.bytesIn, bytesOut: status.network?.bytesOut }, snapshots.network, networkBytes, 'direction');
-    await collectReplicaMetrics();
+    await mongoClient.connect();
   } catch (error) {
-    mongoUp.set(0);
-    logger.error({ err: error }, 'MongoDB metrics collection failed');
+    await mongoClient.close().catch(() => {});
+    throw error;
+  }
+  target.mongoClient = mongoClient;
+  target.adminDb = mongoClient.db('admin');
+  logger.info({ target: target.name, url: target.uri, tls: Boolean(clientOptions.tls) }, 'Connected to MongoDB');
+};
+
+const closeTarget = async (target) => {
+  const { mongoClient } = target;
+  target.mongoClient = undefined;
+  target.adminDb = undefined;
+  await mongoClient?.close();
+};
+
+// Overlapping calls for the same target share the in-flight collection instead of piling up.
+const collectTarget = (target) => {
+  if (!target.inFlight) {
+    target.inFlight = collectOnce(target)
+      .finally(() => {
+        target.lastCollected = Date.now();
+        target.inFlight = undefined;
+      });
   }
+  return target.inFlight;
 };
 
+const SCRAPE_TIMED_OUT = Symbol('scrape-timed-out');
+
+// Used by scrape mode and dynamic probes: reuse values younger than MONGO_MIN_CACHE_AGE_MS, otherwise join (or start)
+// the target's collection and give up waiting after MONGO_SCRAPE_TIMEOUT_MS, serving whatever has been updated so far.
+const refreshTarget = async (target) => {
+  if (!target.inFlight && Date.now() - target.lastCollected < MIN_CACHE_AGE_MS) return;
+  let timer;
+  const timeout = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(SCRAPE_TIMED_OUT), SCRAPE_TIMEOUT_MS);
+  });
+  const result = await Promise.race([collectTarget(target), timeout]);
+  clearTimeout(timer);
+  if (result === SCRAPE_TIMED_OUT) {
+    target.metrics.scrapeTimeouts.inc();
+    logger.warn({ target: target.name, timeoutMs: SCRAPE_TIMEOUT_MS }, 'Collection exceeded scrape timeout; serving partial results');
+  }
+};
+
+const evictIdleTargets = () => {
+  const now = Date.now();
+  const idle = [...targets.values()].filter((target) => target.dynamic && now - target.lastProbe > PROBE_IDLE_TIMEOUT_MS);
+  idle.forEach((target) => {
+    targets.delete(target.name);
+    logger.info({ target: target.name }, 'Dropping idle probe target');
+    closeTarget(target).catch((error) => logger.warn({ err: error, target: target.name }, 'Failed to close MongoDB client'));
+  });
+};
+
+const collectAll = async () => {
+  evictIdleTargets();
+  await Promise.all([...targets.values()].map(collectTarget));
+};
+
+let intervalHandle;
+
 const start = async () => {
-  mongoClient = new MongoClient(MONGO_URL, { directConnection: true, serverSelectionTimeoutMS: 5000 });
-  await mongoClient.connect();
-  adminDb = mongoClient.db('admin');
-  logger.info({ url: MONGO_URL }, 'Connected to MongoDB');
-  await collectOnce();
-  intervalHandle = setInterval(collectOnce, SCRAPE_INTERVAL_MS).unref();
+  logger.info({ targets: [...targets.keys()], mode: COLLECTION_MODE }, 'Starting mongo exporter');
+  if (COLLECTION_MODE === 'scrape') {
+    intervalHandle = setInterval(evictIdleTargets, SCRAPE_INTERVAL_MS).unref();
+    return;
+  }
+  await collectAll();
+  intervalHandle = setInterval(collectAll, SCRAPE_INTERVAL_MS).unref();
 };
 
 const app = express();
 app.get('/metrics', async (_req, res) => {
   try {
-    res.set('Content-Type', registry.contentType);
-    res.end(await registry.metrics());
+    const staticTargets = [...targets.values()].filter((target) => !target.dynamic);
+    if (COLLECTION_MODE === 'scrape') await Promise.all(staticTargets.map(refreshTarget));
+    const perTarget = await Promise.all(staticTargets.map((target) => target.registry.getMetricsAsJSON()));
+    const merged = client.Registry.merge([registry, client.AggregatorRegistry.aggregate(perTarget)]);
+    res.set('Content-Type', merged.contentType);
+    res.end(await merged.metrics());
   } catch (error) {
-    res.status(500).send(error.message);
+    res.status(500).send(redact(error.message));
   }
 });
 
-const getUpValue = () => {
+app.get('/probe', async (req, res) => {
+  const requested = typeof req.query.target === 'string' ? req.query.target.trim() : '';
+  if (!requested) {
+    res.status(400).send('Missing target parameter');
+    return;
+  }
+  const uri = normaliseTargetUri(requested);
+  let target = targets.get(targetName(uri));
+  if (!target) {
+    if (!PROBE_DYNAMIC_TARGETS) {
+      res.status(404).send(`Unknown target ${targetName(uri)}; add it to MONGO_TARGETS or enable MONGO_PROBE_DYNAMIC_TARGETS`);
+      return;
+    }
+    target = createTarget(uri, { dynamic: true });
+    targets.set(target.name, target);
+  }
+  target.lastProbe = Date.now();
   try {
-    const series = mongoUp.get().values ?? [];
-    return Number(series[0]?.value ?? 0);
+    if (target.dynamic || COLLECTION_MODE === 'scrape') await refreshTarget(target);
+    res.set('Content-Type', target.registry.contentType);
+    res.end(await target.registry.metrics());
   } catch (error) {
-    logger.debug({ err: error }, 'Failed to read mongoUp gauge');
-    return 0;
+    res.status(500).send(redact(error.message));
   }
-};
+});
+
+app.get('/slow-operations', (req, res) => {
+  const limit = Math.max(1, Math.min(Number(req.query.limit) || SLOW_OPS_TOP_N, SLOW_OPS_TOP_N));
+  const selected = req.query.target
+    ? [targets.get(targetName(normaliseTargetUri(String(req.query.target))))].filter(Boolean)
+    : [...targets.values()];
+  const withTarget = (target, ops) => ops.map((op) => ({ target: target.name, ...op }));
+  res.json({
+    generatedAt: new Date().toISOString(),
+    currentOp: CURRENT_OP_ENABLED,
+    profile: PROFILE_STATS_ENABLED,
+    active: selected.flatMap((target) => withTarget(target, target.slowOperations.active)).sort(bySlowest).slice(0, limit),
+    profiled: selected.flatMap((target) => withTarget(target, target.slowOperations.profiled)).sort(bySlowest).slice(0, limit),
+  });
+});
 
 app.get('/healthz', (_req, res) => {
-  const value = getUpValue();
-  res.json({ status: value >= 1 ? 'ok' : 'degraded', mongoUp: value });
+  const report = [...targets.values()].filter((target) => !target.dynamic).map((target) => ({
+    target: target.name,
+    up: target.up ? 1 : 0,
+    collectors: collectorReport(target),
+  }));
+  const up = report.length > 0 && report.every((entry) => entry.up === 1);
+  const stale = report.some((entry) => entry.collectors.some((collector) => collector.stale));
+  res.status(stale ? 503 : 200).json({
+    status: stale ? 'stale' : up ? 'ok' : 'degraded',
+    mongoUp: up ? 1 : 0,
+    targets: report,
+  });
 });
 
 start()
@@ -183,7 +937,7 @@ start()
 
 const shutdown = async () => {
   clearInterval(intervalHandle);
-  await mongoClient?.close();
+  await Promise.allSettled([...targets.values()].map(closeTarget));
   process.exit(0);
 };
 